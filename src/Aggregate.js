@@ -1,8 +1,12 @@
+import { sortDocuments, toCollator } from './matcher.js';
+
 export class Aggregate {
   constructor(model, pipeline = []) {
     this.model = model;
     this.pipeline = [...pipeline];
     this._explain = false;
+    this._session = null;
+    this._collation = null;
   }
 
   match(criteria) {
@@ -30,13 +34,25 @@ export class Aggregate {
     return this;
   }
 
+  session(session) {
+    this._session = session;
+    return this;
+  }
+
+  // Collation of $match and $sort stages; defaults to the model's.
+  collation(collation) {
+    this._collation = collation;
+    return this;
+  }
+
   unwind(path) {
     this.pipeline.push({ $unwind: path });
     return this;
   }
 
   async exec() {
-    let docs = await this.model._find();
+    let docs = await this.model._find({}, { session: this._session });
+    const collation = this._collation || this.model.collation;
     
     for (const stage of this.pipeline) {
       const operator = Object.keys(stage)[0];
@@ -44,7 +60,7 @@ export class Aggregate {
       
       switch (operator) {
         case '$match':
-          docs = docs.filter(doc => this.model._matchQuery(doc, operation));
+          docs = docs.filter(doc => this.model._matchQuery(doc, operation, collation));
           break;
           
         case '$group':
@@ -52,7 +68,7 @@ export class Aggregate {
           break;
           
         case '$sort':
-          docs = this._sort(docs, operation);
+          docs = this._sort(docs, operation, collation);
           break;
           
         case '$limit':
@@ -101,16 +117,8 @@ export class Aggregate {
     }));
   }
 
-  _sort(docs, sorting) {
-    return [...docs].sort((a, b) => {
-      for (const [field, order] of Object.entries(sorting)) {
-        const aVal = this._getFieldValue(a, field);
-        const bVal = this._getFieldValue(b, field);
-        if (aVal < bVal) return -1 * order;
-        if (aVal > bVal) return 1 * order;
-      }
-      return 0;
-    });
+  _sort(docs, sorting, collation = null) {
+    return sortDocuments([...docs], sorting, undefined, toCollator(collation));
   }
 
   _unwind(docs, path) {
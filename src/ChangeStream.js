@@ -0,0 +1,159 @@
+import { EventEmitter } from 'events';
+import isPlainObject from 'lodash/isPlainObject.js';
+import isEqual from 'lodash/isEqual.js';
+import cloneDeep from 'lodash/cloneDeep.js';
+import { matchQuery, validateQuery } from './matcher.js';
+
+let tokenCounter = 0;
+
+// Turns the change records of a write into MongoDB-style change events.
+export function toChangeEvents(db, coll, changes) {
+  return changes.map(change => {
+    const id = change.op === 'delete' ? change._id : change.doc._id;
+    const event = {
+      _id: { _data: (++tokenCounter).toString(16).padStart(16, '0') },
+      operationType: change.op,
+      wallTime: new Date(),
+      ns: { db, coll },
+      documentKey: { _id: id }
+    };
+
+    if (change.op === 'insert' || change.op === 'replace') {
+      event.fullDocument = cloneDeep(change.doc);
+    } else if (change.op === 'update') {
+      event.updateDescription = describeUpdate(change.before || {}, change.doc);
+    }
+    return event;
+  });
+}
+
+function describeUpdate(before, after) {
+  const updatedFields = {};
+  const removedFields = [];
+
+  const walk = (previous, current, prefix) => {
+    for (const [key, value] of Object.entries(current)) {
+      const path = prefix + key;
+      if (!(key in previous)) {
+        updatedFields[path] = cloneDeep(value);
+      } else if (isPlainObject(previous[key]) && isPlainObject(value)) {
+        walk(previous[key], value, `${path}.`);
+      } else if (!isEqual(previous[key], value)) {
+        updatedFields[path] = cloneDeep(value);
+      }
+    }
+    for (const key of Object.keys(previous)) {
+      if (!(key in current)) removedFields.push(prefix + key);
+    }
+  };
+
+  walk(before, after, '');
+  return { updatedFields, removedFields, truncatedArrays: [] };
+}
+
+// Live feed of change events for one collection, or a whole connection when
+// `collection` is null. Events are emitted as 'change' and can also be
+// consumed with `next()` or `for await`, which pick up from the moment the
+// stream was opened.
+export class ChangeStream extends EventEmitter {
+  constructor(connection, collection, pipeline = [], options = {}) {
+    super();
+    this.connection = connection;
+    this.collection = collection;
+    this.pipeline = pipeline;
+    this.options = options;
+    this.closed = false;
+    this._buffer = [];
+    this._waiting = [];
+    this._iterating = false;
+    this._pending = Promise.resolve();
+
+    for (const stage of pipeline) {
+      const operator = Object.keys(stage)[0];
+      if (operator !== '$match') {
+        throw new Error(`Unsupported change stream stage: ${operator}`);
+      }
+      validateQuery(stage.$match);
+    }
+
+    this._onChange = event => this._enqueue(event);
+    connection.events.on('change', this._onChange);
+    this._unwatch = connection.storage.watch(collection, (name, changes) => {
+      toChangeEvents(connection.name, name, changes).forEach(this._onChange);
+    });
+    connection._changeStreams.add(this);
+  }
+
+  // Events are processed one at a time. An error is reported to 'error'
+  // listeners, if any, and never breaks the chain for later events.
+  _enqueue(event) {
+    if (this.closed) return;
+    if (this.collection && event.ns.coll !== this.collection) return;
+    this._pending = this._pending
+      .then(() => this._process(event))
+      .catch(error => {
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+      });
+  }
+
+  async _process(event) {
+    const change = { ...event };
+    const matches = this.pipeline.every(stage =>
+      matchQuery(change, stage.$match)
+    );
+    if (!matches || this.closed) return;
+
+    if (change.operationType === 'update' && this.options.fullDocument === 'updateLookup') {
+      const docs = await this.connection._loadCollection(change.ns.coll);
+      const current = docs.find(doc => String(doc._id) === String(change.documentKey._id));
+      change.fullDocument = current ? cloneDeep(current) : null;
+    }
+
+    // Streams consumed only through 'change' listeners don't buffer.
+    const listening = this.listenerCount('change') > 0;
+    this.emit('change', change);
+    if (this._waiting.length > 0) {
+      this._waiting.shift()(change);
+    } else if (this._iterating || !listening) {
+      this._buffer.push(change);
+    }
+  }
+
+  next() {
+    this._iterating = true;
+    if (this._buffer.length > 0) {
+      return Promise.resolve(this._buffer.shift());
+    }
+    if (this.closed) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => this._waiting.push(resolve));
+  }
+
+  async hasNext() {
+    return !this.closed || this._buffer.length > 0;
+  }
+
+  tryNext() {
+    this._iterating = true;
+    return Promise.resolve(this._buffer.length > 0 ? this._buffer.shift() : null);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      const change = await this.next();
+      if (change === null) return;
+      yield change;
+    }
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.connection.events.off('change', this._onChange);
+    this._unwatch();
+    this.connection._changeStreams.delete(this);
+    this._waiting.splice(0).forEach(resolve => resolve(null));
+    this.emit('close');
+  }
+}
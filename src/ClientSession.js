@@ -0,0 +1,115 @@
+import { ObjectId } from 'bson';
+import { runExclusive } from './utils.js';
+
+const TRANSACTION_RETRY_TIMEOUT = 120000;
+
+// Buffers the writes of a transaction. Each collection touched inside the
+// transaction gets a private working copy of its documents, which reads in the
+// session see; the change records are applied to storage on commit only.
+export class ClientSession {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.options = options;
+    this.id = new ObjectId().toString();
+    this.hasEnded = false;
+    this._transactionState = 'none';
+    this._collections = new Map();
+  }
+
+  inTransaction() {
+    return this._transactionState === 'in_progress';
+  }
+
+  startTransaction() {
+    if (this.hasEnded) {
+      throw new Error('Cannot start a transaction on an ended session');
+    }
+    if (this.inTransaction()) {
+      throw new Error('Transaction already in progress');
+    }
+    this._collections.clear();
+    this._transactionState = 'in_progress';
+    return this;
+  }
+
+  async commitTransaction() {
+    if (!this.inTransaction()) {
+      throw new Error('No transaction started');
+    }
+
+    const batch = [...this._collections.entries()]
+      .filter(([, entry]) => entry.changes.length > 0)
+      .map(([name, entry]) => ({ name, ...entry }));
+    try {
+      await this.connection._commit(batch);
+    } catch (error) {
+      this._collections.clear();
+      this._transactionState = 'aborted';
+      throw error;
+    }
+    this._collections.clear();
+    this._transactionState = 'committed';
+  }
+
+  async abortTransaction() {
+    if (!this.inTransaction()) {
+      throw new Error('No transaction started');
+    }
+    this._collections.clear();
+    this._transactionState = 'aborted';
+  }
+
+  async withTransaction(fn, options = {}) {
+    const started = Date.now();
+    while (true) {
+      this.startTransaction();
+      try {
+        const result = await fn(this);
+        if (this.inTransaction()) {
+          await this.commitTransaction();
+        }
+        return result;
+      } catch (error) {
+        if (this.inTransaction()) {
+          await this.abortTransaction();
+        }
+        const transient = typeof error.hasErrorLabel === 'function' &&
+          error.hasErrorLabel('TransientTransactionError');
+        if (!transient || Date.now() - started >= TRANSACTION_RETRY_TIMEOUT) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async endSession() {
+    if (this.inTransaction()) {
+      await this.abortTransaction();
+    }
+    this.hasEnded = true;
+  }
+
+  _exclusive(name, fn) {
+    return runExclusive(`session:${this.id}:${name}`, fn);
+  }
+
+  // Working copy of a collection, taken from storage the first time the
+  // transaction touches it.
+  async _load(name) {
+    if (!this._collections.has(name)) {
+      const docs = await this.connection._queue(name, () => this.connection._loadCollection(name));
+      this._collections.set(name, {
+        docs: [...docs],
+        snapshot: new Map(docs.map(doc => [String(doc._id), doc])),
+        changes: []
+      });
+    }
+    return this._collections.get(name).docs;
+  }
+
+  _stage(name, docs, changes) {
+    const entry = this._collections.get(name);
+    entry.docs = docs;
+    entry.changes.push(...changes);
+  }
+}
@@ -1,13 +1,34 @@
 import fs from 'fs/promises';
 import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import isEqual from 'lodash/isEqual.js';
+import cloneDeep from 'lodash/cloneDeep.js';
 import { Model } from './Model.js';
+import { ClientSession } from './ClientSession.js';
+import { ChangeStream, toChangeEvents } from './ChangeStream.js';
 import { EventEmitter } from 'events';
+import { FileAdapter } from './FileAdapter.js';
+import { MemoryAdapter } from './MemoryAdapter.js';
+import { JournalAdapter } from './JournalAdapter.js';
+import { WriteConflictError } from './errors.js';
+import { Index, updateIndexes, fromIndexSpec, assertUniqueKeys } from './Index.js';
+import { stringifyJSON, parseJSON, writeFileAtomic, applyChanges } from './utils.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'localgoose-archive';
+const ARCHIVE_VERSION = 1;
 
 export class Connection {
-  constructor(dbPath = './db') {
+  constructor(dbPath = './db', options = {}) {
     this.dbPath = dbPath;
+    this.options = options;
+    this.storage = createStorage(dbPath, options);
     this.models = {};
     this.collections = {};
+    this._changeStreams = new Set();
     this.config = new Map();
     this.plugins = new Set();
     this.events = new EventEmitter();
@@ -17,12 +38,16 @@ export class Connection {
     this.port = null;
     this.user = null;
     this.pass = null;
+
+    this.storage.on('error', error => {
+      if (this.events.listenerCount('error') > 0) this.events.emit('error', error);
+    });
   }
 
   async connect() {
     try {
       this.readyState = 2;
-      await fs.mkdir(this.dbPath, { recursive: true });
+      await this.storage.connect();
       this.readyState = 1;
       return this;
     } catch (error) {
@@ -45,19 +70,195 @@ export class Connection {
     this.readyState = 0;
   }
 
+  _collectionPath(name) {
+    return this.storage.collectionPath(name);
+  }
+
+  _queue(name, fn) {
+    return this.storage.queue(name, fn);
+  }
+
+  // Read-modify-write section for a collection, exclusive across every
+  // Connection sharing the same storage.
+  _exclusive(name, fn) {
+    return this.storage.exclusive(name, fn);
+  }
+
+  _exclusiveAll(names, fn) {
+    return this.storage.exclusiveAll(names, fn);
+  }
+
+  // Returns the adapter's live document array of a collection; callers must
+  // not mutate it outside `_exclusive`.
+  _loadCollection(name) {
+    return this.storage.load(name);
+  }
+
+  async _writeCollection(name, docs, changes) {
+    await this.storage.persist(name, docs, changes);
+    updateIndexes(docs, changes);
+    this._emitChanges(name, changes);
+  }
+
+  _emitChanges(name, changes) {
+    if (!changes || changes.length === 0) return;
+    const model = this.models[name];
+    for (const event of toChangeEvents(this.name, name, changes)) {
+      this.events.emit('change', event);
+      if (model) model.events.emit('change', event);
+    }
+  }
+
+  async flush() {
+    await this.storage.flush();
+  }
+
+  // Commits the buffered writes of a transaction ({ name, changes, snapshot }
+  // per collection) while holding every affected collection.
+  async _commit(batch) {
+    return this._exclusiveAll(batch.map(entry => entry.name), async () => {
+      for (const entry of batch) {
+        const docs = await this._loadCollection(entry.name);
+        assertNoConflicts(entry, docs);
+        // Unique keys are checked again against the committed state, since
+        // another writer may have taken a key since the transaction read it.
+        const model = this.models[entry.name];
+        if (model) model._assertUniqueChanges(applyChanges([...docs], entry.changes), entry.changes);
+      }
+      await this._applyBatch(batch.map(({ name, changes }) => ({ name, changes })));
+    });
+  }
+
+  // Writes a batch through storage.commit; callers hold every collection in it.
+  async _applyBatch(batch) {
+    await this.storage.commit(batch);
+    for (const { name, changes } of batch) {
+      updateIndexes(await this._loadCollection(name), changes);
+      this._emitChanges(name, changes);
+    }
+  }
+
+  // Writes the selected collections, with their index definitions, to a
+  // single archive file. Every collection is held while it is read, so the
+  // archive is a consistent snapshot even with writes in flight.
+  async dump(targetPath, options = {}) {
+    const existing = await this.storage.list();
+    const names = options.collections || existing;
+    const missing = names.filter(name => !existing.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Cannot dump missing collections: ${missing.join(', ')}`);
+    }
+    const collections = await this._exclusiveAll(names, async () => {
+      const result = [];
+      for (const name of [...new Set(names)]) {
+        result.push({
+          name,
+          indexes: await this.storage.loadIndexes(name),
+          documents: cloneDeep(await this._loadCollection(name))
+        });
+      }
+      return result;
+    });
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      database: this.name,
+      gzip: Boolean(options.gzip),
+      collections: collections.map(({ name, indexes, documents }) => ({
+        name,
+        count: documents.length,
+        indexes: indexes.length
+      }))
+    };
+
+    let data = stringifyJSON({ manifest, collections });
+    if (options.gzip) data = await gzip(data);
+    await fs.mkdir(path.dirname(path.resolve(targetPath)), { recursive: true });
+    await writeFileAtomic(targetPath, data);
+    return manifest;
+  }
+
+  // Loads an archive written by dump(). The whole archive is validated first;
+  // documents are then written in one batch. Existing documents and indexes
+  // are kept unless `drop` is set, in which case each restored collection is
+  // replaced.
+  async restore(sourcePath, options = {}) {
+    const { manifest, collections } = await readArchive(sourcePath);
+    const selected = options.collections
+      ? collections.filter(({ name }) => options.collections.includes(name))
+      : collections;
+
+    const summary = {};
+    await this._exclusiveAll(selected.map(({ name }) => name), async () => {
+      const batch = [];
+      const indexSpecs = new Map();
+      for (const { name, documents, indexes } of selected) {
+        const current = await this._loadCollection(name);
+        const restored = new Set(documents.map(doc => String(doc._id)));
+        const existing = new Set(current.map(doc => String(doc._id)));
+        const changes = [];
+
+        if (options.drop) {
+          for (const doc of current) {
+            if (!restored.has(String(doc._id))) {
+              changes.push({ op: 'delete', _id: doc._id });
+            }
+          }
+        }
+        let skipped = 0;
+        for (const doc of documents) {
+          if (!options.drop && existing.has(String(doc._id))) {
+            skipped++;
+          } else {
+            changes.push({ op: existing.has(String(doc._id)) ? 'replace' : 'insert', doc });
+          }
+        }
+
+        // Nothing is written unless every collection keeps its unique keys
+        // unique, under both the archived and the existing definitions.
+        const stored = options.drop ? [] : await this.storage.loadIndexes(name);
+        const specs = [...stored, ...indexes.filter(spec => !stored.some(({ name }) => name === spec.name))];
+        const restoredDocs = applyChanges([...current], changes);
+        const uniqueIndexes = specs.map(fromIndexSpec)
+          .filter(({ options }) => options.unique)
+          .map(({ fields, options }) => new Index(fields, options).build(restoredDocs));
+        const written = changes.filter(change => change.op !== 'delete').map(change => change.doc);
+        assertUniqueKeys(`${this.name}.${name}`, uniqueIndexes, written);
+        indexSpecs.set(name, specs);
+
+        batch.push({ name, changes });
+        summary[name] = {
+          restored: documents.length - skipped,
+          skipped,
+          deleted: changes.filter(change => change.op === 'delete').length
+        };
+      }
+      await this._applyBatch(batch);
+
+      for (const [name, specs] of indexSpecs) {
+        await this.storage.saveIndexes(name, specs);
+        if (this.models[name]) this.models[name]._useIndexes(specs);
+      }
+    });
+
+    return { manifest, collections: summary };
+  }
+
   async collection(name) {
     if (!this.collections[name]) {
       this.collections[name] = {
         name,
-        collectionPath: path.join(this.dbPath, `${name}.json`)
+        collectionPath: this._collectionPath(name)
       };
     }
     return this.collections[name];
   }
 
-  model(name, schema) {
+  model(name, schema, options = {}) {
     if (schema) {
-      this.models[name] = new Model(name, schema, this);
+      this.models[name] = new Model(name, schema, this, options);
     }
     return this.models[name];
   }
@@ -72,20 +273,16 @@ export class Connection {
   }
 
   async dropCollection(name) {
-    const collectionPath = path.join(this.dbPath, `${name}.json`);
-    try {
-      await fs.unlink(collectionPath);
-      delete this.collections[name];
-      return true;
-    } catch (error) {
-      if (error.code === 'ENOENT') return false;
-      throw error;
-    }
+    const dropped = await this._exclusive(name, () => this.storage.drop(name));
+    if (dropped) delete this.collections[name];
+    return dropped;
   }
 
+  // Holds every collection so the drop cannot interleave with a write, a
+  // commit or a dump in progress.
   async dropDatabase() {
     try {
-      await fs.rm(this.dbPath, { recursive: true, force: true });
+      await this._exclusiveAll(await this.storage.list(), () => this.storage.dropAll());
       this.collections = {};
       return true;
     } catch (error) {
@@ -103,13 +300,8 @@ export class Connection {
 
   async listCollections() {
     try {
-      const files = await fs.readdir(this.dbPath);
-      return files
-        .filter(file => file.endsWith('.json'))
-        .map(file => ({
-          name: path.basename(file, '.json'),
-          type: 'collection'
-        }));
+      const names = await this.storage.list();
+      return names.map(name => ({ name, type: 'collection' }));
     } catch (error) {
       return [];
     }
@@ -140,37 +332,147 @@ export class Connection {
     return this;
   }
 
-  async startSession() {
-    throw new Error('Sessions are not supported in file-based storage');
+  async startSession(options = {}) {
+    return new ClientSession(this, options);
   }
 
+  // Runs Model.syncIndexes() for every model, returning the dropped index
+  // names by model. With `continueOnError` a failing model reports its error
+  // instead of stopping the rest.
   async syncIndexes(options = {}) {
-    // No-op for file-based system
-    return [];
+    const results = {};
+    for (const [name, model] of Object.entries(this.models)) {
+      try {
+        results[name] = await model.syncIndexes(options);
+      } catch (error) {
+        if (!options.continueOnError) throw error;
+        results[name] = error;
+      }
+    }
+    return results;
   }
 
-  async transaction(fn) {
-    throw new Error('Transactions are not supported in file-based storage');
+  async transaction(fn, options = {}) {
+    const session = await this.startSession();
+    try {
+      return await session.withTransaction(fn, options);
+    } finally {
+      await session.endSession();
+    }
   }
 
   async useDb(name) {
-    const newDbPath = path.join(path.dirname(this.dbPath), name);
-    const newConnection = new Connection(newDbPath);
+    const { storage, ...options } = this.options;
+    const newDbPath = this.dbPath === ':memory:' ? ':memory:' : path.join(path.dirname(this.dbPath), name);
+    const newConnection = new Connection(newDbPath, typeof storage === 'string' ? this.options : options);
     await newConnection.connect();
     return newConnection;
   }
 
-  async watch() {
-    throw new Error('Watch is not supported in file-based storage');
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this, null, pipeline, options);
   }
 
   async withSession(fn) {
-    throw new Error('Sessions are not supported in file-based storage');
+    const session = await this.startSession();
+    try {
+      return await fn(session);
+    } finally {
+      await session.endSession();
+    }
   }
 
   async disconnect() {
+    await Promise.all([...this._changeStreams].map(stream => stream.close()));
+    await this.storage.close();
     this.models = {};
     this.collections = {};
+    this._changeStreams = new Set();
     this.readyState = 0;
   }
+}
+
+function assertNoConflicts({ name, changes, snapshot }, docs) {
+  const current = new Map(docs.map(doc => [String(doc._id), doc]));
+  for (const change of changes) {
+    const id = String(change.op === 'delete' ? change._id : change.doc._id);
+    if (snapshot.has(id) && !isEqual(current.get(id), snapshot.get(id))) {
+      throw new WriteConflictError(name, id);
+    }
+  }
+}
+
+async function readArchive(sourcePath) {
+  let data;
+  try {
+    data = await fs.readFile(sourcePath);
+  } catch (error) {
+    throw new Error(`Failed to read archive ${sourcePath}: ${error.message}`);
+  }
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    try {
+      data = await gunzip(data);
+    } catch (error) {
+      throw new Error(`Invalid archive ${sourcePath}: ${error.message}`);
+    }
+  }
+
+  let archive;
+  try {
+    archive = parseJSON(data.toString('utf8'), sourcePath);
+  } catch (error) {
+    throw new Error(`Invalid archive ${sourcePath}: ${error.message}`);
+  }
+  validateArchive(archive, sourcePath);
+  return archive;
+}
+
+function validateArchive(archive, sourcePath) {
+  const fail = reason => {
+    throw new Error(`Invalid archive ${sourcePath}: ${reason}`);
+  };
+  const { manifest, collections } = archive || {};
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) fail('not a localgoose archive');
+  if (manifest.version !== ARCHIVE_VERSION) fail(`unsupported version ${manifest.version}`);
+  if (!Array.isArray(collections) || !Array.isArray(manifest.collections)) {
+    fail('missing collections');
+  }
+  if (collections.length !== manifest.collections.length) {
+    fail('collection list does not match the manifest');
+  }
+
+  collections.forEach((collection, i) => {
+    const { name, documents, indexes } = collection;
+    const expected = manifest.collections[i];
+    if (typeof name !== 'string' || !name || name !== path.basename(name) || name.startsWith('.')) {
+      fail(`invalid collection name ${JSON.stringify(name)}`);
+    }
+    if (!expected || expected.name !== name) fail(`collection ${name} is not in the manifest`);
+    if (!Array.isArray(documents) || documents.length !== expected.count) {
+      fail(`collection ${name} does not contain ${expected.count} documents`);
+    }
+    const validIndex = spec => spec && typeof spec.name === 'string' &&
+      spec.key && typeof spec.key === 'object' && Object.keys(spec.key).length > 0;
+    if (!Array.isArray(indexes) || !indexes.every(validIndex)) {
+      fail(`collection ${name} has invalid index definitions`);
+    }
+    const ids = new Set();
+    for (const doc of documents) {
+      if (!doc || typeof doc !== 'object' || Array.isArray(doc) || doc._id === undefined) {
+        fail(`collection ${name} contains a document without _id`);
+      }
+      const id = String(doc._id);
+      if (ids.has(id)) fail(`collection ${name} contains duplicate _id ${id}`);
+      ids.add(id);
+    }
+  });
+}
+
+// `storage` may be an adapter instance or the name of a bundled one.
+function createStorage(dbPath, options) {
+  const { storage } = options;
+  if (storage && typeof storage === 'object') return storage;
+  if (storage === 'memory' || dbPath === ':memory:') return new MemoryAdapter(options);
+  if (storage === 'journal') return new JournalAdapter(dbPath, options);
+  return new FileAdapter(dbPath, options);
 }
\ No newline at end of file
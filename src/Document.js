@@ -1,4 +1,5 @@
 import { EventEmitter } from 'events';
+import { isSelected, isDirectSelected } from './projection.js';
 
 export class Document {
   constructor(obj, schema, model) {
@@ -10,6 +11,8 @@ export class Document {
     this._parent = null;
     this._isNew = true;
     this._snapshot = null;
+    this._session = null;
+    this._selected = null;
     this.isNew = true;
     this.errors = {};
     this.id = obj._id;
@@ -59,16 +62,20 @@ export class Document {
     return this;
   }
 
-  async save() {
+  async save(options = {}) {
+    const session = options.session !== undefined ? options.session : this._session;
     if (this._schema.middleware.pre.save) {
       for (const middleware of this._schema.middleware.pre.save) {
         await middleware.call(this);
       }
     }
 
+    // A document loaded with a projection holds only part of the stored one,
+    // so only the paths changed since are written back.
     const result = await this._model.updateOne(
       { _id: this._id },
-      this._doc
+      this._selected ? this.getChanges() : this._doc,
+      { session }
     );
 
     if (this._schema.middleware.post.save) {
@@ -99,6 +106,14 @@ export class Document {
     return this.toObject();
   }
 
+  $session(session) {
+    if (arguments.length === 0) {
+      return this._session;
+    }
+    this._session = session;
+    return this;
+  }
+
   markModified(path) {
     this._modifiedPaths.add(path);
     return this;
@@ -171,12 +186,12 @@ export class Document {
   }
 
   isDirectSelected(path) {
-    return path in this._doc;
+    return isDirectSelected(this._selected, path);
   }
 
   isSelected(path) {
     if (this._schema.options.selectAll) return true;
-    return this.isDirectSelected(path);
+    return isSelected(this._selected, path);
   }
 
   parent() {
@@ -0,0 +1,424 @@
+import fs from 'fs/promises';
+import { watch as watchFS } from 'fs';
+import path from 'path';
+import { StorageAdapter } from './StorageAdapter.js';
+import { ObjectId } from 'bson';
+import {
+  readJSON, writeJSON, parseJSON, parseLegacyJSON, fileSignature, recoverJSON, withFileLock,
+  toChangeRecord, diffDocuments, isAbandonedTempFile, applyChanges
+} from './utils.js';
+
+const WATCH_DEBOUNCE = 25;
+const FORMAT_VERSION = 2;
+// Default for `maxFlushDelay`, in multiples of `flushDelay`.
+const MAX_FLUSH_DELAY_FACTOR = 4;
+
+// Stores each collection as `<dbPath>/<name>.json`. Collections are cached in
+// memory after the first load and re-read only when the file changes on disk
+// behind our back.
+export class FileAdapter extends StorageAdapter {
+  constructor(dbPath, options = {}) {
+    super(options);
+    this.dbPath = dbPath;
+    this._cache = new Map();
+    this._watchers = new Set();
+    this._watched = new Map();
+    this._fsWatcher = null;
+  }
+
+  async connect() {
+    await fs.mkdir(this._metaPath('indexes'), { recursive: true });
+    await recoverJSON(this.dbPath);
+    await recoverJSON(this._metaPath('indexes'));
+    await this._recoverTransactions();
+    await this.migrate();
+  }
+
+  _metaPath(...parts) {
+    return path.join(this.dbPath, '.localgoose', ...parts);
+  }
+
+  _transactionsPath() {
+    return this._metaPath('transactions');
+  }
+
+  _indexesPath(name) {
+    return this._metaPath('indexes', `${name}.json`);
+  }
+
+  // Rewrites collections stored by versions without the typed encoding. The
+  // format version is recorded in `.localgoose/format.json`, so this runs once
+  // per database.
+  async migrate() {
+    const formatPath = this._metaPath('format.json');
+    await fs.mkdir(path.dirname(formatPath), { recursive: true });
+    await withFileLock(formatPath, this.options.lock, async () => {
+      if (await readFormatVersion(formatPath) >= FORMAT_VERSION) return;
+      for (const name of await this.list()) {
+        await this.exclusive(name, () => this._migrateCollection(name));
+      }
+      await this._writeFormat();
+    });
+  }
+
+  _writeFormat() {
+    return writeJSON(this._metaPath('format.json'), {
+      version: FORMAT_VERSION,
+      encoding: 'extended-json'
+    });
+  }
+
+  async _migrateCollection(name) {
+    this._evict(name);
+    const docs = await readJSON(this.collectionPath(name), parseLegacyJSON);
+    await writeJSON(this.collectionPath(name), docs);
+  }
+
+  // A transaction is first written as a single redo record, then applied to
+  // each collection, then the record is removed. A record found on startup
+  // belongs to a commit that was interrupted and is applied again; change
+  // records are keyed by _id, so re-applying an already applied one is safe.
+  async commit(batch) {
+    const transactionsPath = this._transactionsPath();
+    const recordPath = path.join(transactionsPath, `${new ObjectId().toString()}.json`);
+    await fs.mkdir(transactionsPath, { recursive: true });
+    await writeJSON(recordPath, batch.map(({ name, changes }) => ({
+      name,
+      changes: changes.map(toChangeRecord)
+    })));
+
+    await super.commit(batch);
+    for (const { name } of batch) {
+      await this._flushCollection(name);
+    }
+    await fs.rm(recordPath, { force: true });
+  }
+
+  async _recoverTransactions() {
+    const transactionsPath = this._transactionsPath();
+    let files;
+    try {
+      files = (await fs.readdir(transactionsPath)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files) {
+      // A record that never made it past its temp file was never applied.
+      // One still being written by a live process is left to it.
+      if (!file.endsWith('.json')) {
+        if (isAbandonedTempFile(file)) {
+          await fs.rm(path.join(transactionsPath, file), { force: true });
+        }
+        continue;
+      }
+
+      const recordPath = path.join(transactionsPath, file);
+      let batch;
+      try {
+        batch = parseJSON(await fs.readFile(recordPath, 'utf8'), recordPath);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const replay = async () => {
+        // The process that wrote the record may still be alive and finish
+        // the commit while we wait for its collections.
+        if (!(await fileSignature(recordPath))) return;
+        await super.commit(batch);
+        for (const { name } of batch) {
+          await this._flushCollection(name);
+        }
+        await fs.rm(recordPath, { force: true });
+      };
+      await this.exclusiveAll(batch.map(({ name }) => name), replay);
+    }
+  }
+
+  async close() {
+    this._watchers.clear();
+    this._stopWatching();
+    await this.flush();
+    [...this._cache.keys()].forEach(name => this._evict(name));
+  }
+
+  collectionPath(name) {
+    return path.join(this.dbPath, `${name}.json`);
+  }
+
+  key(name) {
+    return path.resolve(this.collectionPath(name));
+  }
+
+  lock(name, fn) {
+    return withFileLock(this.collectionPath(name), this.options.lock, fn);
+  }
+
+  async load(name) {
+    const collectionPath = this.collectionPath(name);
+    if (this.options.cache === false) {
+      return readJSON(collectionPath);
+    }
+
+    const cached = this._cache.get(name);
+    const signature = await fileSignature(collectionPath);
+    if (cached && (cached.dirty || cached.signature === signature)) {
+      return cached.docs;
+    }
+
+    const docs = await readJSON(collectionPath);
+    this._cache.set(name, {
+      docs,
+      signature: signature || await fileSignature(collectionPath),
+      dirty: false,
+      timer: null,
+      pending: []
+    });
+    return docs;
+  }
+
+  // With `flushDelay`, the change records written since the last flush are
+  // kept, so that a flush finding the file rewritten by another process can
+  // replay them onto that version instead of overwriting it. Each write
+  // pushes the flush back, but never past `maxFlushDelay` after the
+  // collection first became dirty.
+  async persist(name, docs, changes) {
+    if (this.options.cache === false) {
+      await writeJSON(this.collectionPath(name), docs);
+      return this._written(name, docs);
+    }
+
+    const entry = this._cache.get(name) || { signature: null, timer: null, pending: [] };
+    if (!entry.dirty) entry.dirtySince = Date.now();
+    entry.docs = docs;
+    entry.dirty = true;
+    entry.pending = changes && entry.pending ? [...entry.pending, ...changes] : null;
+    this._cache.set(name, entry);
+
+    const flushDelay = this.options.flushDelay || 0;
+    if (flushDelay <= 0) {
+      return this._flushCollection(name);
+    }
+
+    const maxFlushDelay = this.options.maxFlushDelay || flushDelay * MAX_FLUSH_DELAY_FACTOR;
+    const delay = Math.max(0, Math.min(flushDelay, entry.dirtySince + maxFlushDelay - Date.now()));
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.exclusive(name, () => this._flushCollection(name))
+        .catch(error => this._reportError(error));
+    }, delay);
+  }
+
+  async _flushCollection(name) {
+    const entry = this._cache.get(name);
+    if (!entry || !entry.dirty) return;
+
+    clearTimeout(entry.timer);
+    entry.timer = null;
+
+    const collectionPath = this.collectionPath(name);
+    try {
+      if (entry.pending && await fileSignature(collectionPath) !== entry.signature) {
+        entry.docs = applyChanges(await readJSON(collectionPath), entry.pending);
+      }
+      await writeJSON(collectionPath, entry.docs);
+      entry.dirty = false;
+      entry.pending = [];
+      entry.signature = await fileSignature(collectionPath);
+      await this._written(name, entry.docs);
+    } catch (error) {
+      if (!(this.options.flushDelay > 0)) {
+        this._cache.delete(name);
+      }
+      throw error;
+    }
+  }
+
+  async flush() {
+    const dirty = [...this._cache.entries()]
+      .filter(([, entry]) => entry.dirty)
+      .map(([name]) => name);
+    await Promise.all(dirty.map(name =>
+      this.exclusive(name, () => this._flushCollection(name))
+    ));
+  }
+
+  _evict(name) {
+    const entry = this._cache.get(name);
+    if (entry) clearTimeout(entry.timer);
+    this._cache.delete(name);
+  }
+
+  _signature(name) {
+    return fileSignature(this.collectionPath(name));
+  }
+
+  _collectionName(file) {
+    return file.endsWith('.json') ? path.basename(file, '.json') : null;
+  }
+
+  // Watches the database directory for edits made by other processes or
+  // tools. `listener(name, changes)` receives change records computed by
+  // diffing the collection against the last state we wrote or saw; `name`
+  // limits watching to one collection, null watches all of them.
+  watch(name, listener) {
+    const watcher = { name, listener };
+    this._watchers.add(watcher);
+
+    if (!this._fsWatcher) {
+      this._fsWatcher = watchFS(this.dbPath, (eventType, file) => {
+        const collection = file && this._collectionName(file.toString());
+        if (collection && this._isWatched(collection)) {
+          this._scheduleCheck(collection);
+        }
+      });
+      this._fsWatcher.on('error', error => this._reportError(error));
+    }
+
+    const names = name ? Promise.resolve([name]) : this.list();
+    names
+      .then(list => Promise.all(list.map(collection => this._track(collection))))
+      .catch(error => this._reportError(error));
+
+    return () => {
+      this._watchers.delete(watcher);
+      if (this._watchers.size === 0) {
+        this._stopWatching();
+      }
+    };
+  }
+
+  _isWatched(name) {
+    return [...this._watchers].some(watcher => !watcher.name || watcher.name === name);
+  }
+
+  _stopWatching() {
+    if (this._fsWatcher) {
+      this._fsWatcher.close();
+      this._fsWatcher = null;
+    }
+    this._watched.forEach(entry => clearTimeout(entry.timer));
+    this._watched.clear();
+  }
+
+  _track(name) {
+    return this.queue(name, async () => {
+      if (this._watched.has(name)) return;
+      const signature = await this._signature(name);
+      const docs = signature ? await this.load(name) : [];
+      this._watched.set(name, {
+        docs: new Map(docs.map(doc => [String(doc._id), doc])),
+        signature
+      });
+    });
+  }
+
+  _scheduleCheck(name) {
+    const entry = this._watched.get(name) || { docs: new Map(), signature: null };
+    this._watched.set(name, entry);
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this._checkExternal(name).catch(error => this._reportError(error));
+    }, WATCH_DEBOUNCE);
+  }
+
+  // Runs on the collection queue, so it never interleaves with our own
+  // writes, which move the baseline forward through `_written`.
+  _checkExternal(name) {
+    return this.queue(name, async () => {
+      const entry = this._watched.get(name);
+      if (!entry) return;
+
+      const signature = await this._signature(name);
+      if (signature === entry.signature) return;
+
+      const docs = signature ? await this.load(name) : [];
+      const changes = diffDocuments(entry.docs, docs);
+      entry.docs = new Map(docs.map(doc => [String(doc._id), doc]));
+      entry.signature = signature;
+
+      if (changes.length > 0) {
+        for (const watcher of this._watchers) {
+          if (!watcher.name || watcher.name === name) {
+            watcher.listener(name, changes);
+          }
+        }
+      }
+    });
+  }
+
+  async _written(name, docs) {
+    if (!this._isWatched(name)) return;
+    const entry = this._watched.get(name) || {};
+    entry.docs = new Map(docs.map(doc => [String(doc._id), doc]));
+    entry.signature = await this._signature(name);
+    this._watched.set(name, entry);
+  }
+
+  async list() {
+    try {
+      const files = await fs.readdir(this.dbPath);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Index definitions live in `.localgoose/indexes/<name>.json`.
+  async loadIndexes(name) {
+    try {
+      return parseJSON(await fs.readFile(this._indexesPath(name), 'utf8'), this._indexesPath(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async saveIndexes(name, indexes) {
+    await fs.mkdir(path.dirname(this._indexesPath(name)), { recursive: true });
+    await writeJSON(this._indexesPath(name), indexes);
+  }
+
+  async drop(name) {
+    this._evict(name);
+    if (this._isWatched(name)) {
+      this._watched.set(name, { docs: new Map(), signature: null });
+    }
+    await fs.rm(this._indexesPath(name), { force: true });
+    try {
+      await fs.unlink(this.collectionPath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Callers hold every collection, so lock files are left for their owners
+  // to release. The format marker is written back so collections created
+  // afterwards are not mistaken for legacy ones.
+  async dropAll() {
+    [...this._cache.keys()].forEach(name => this._evict(name));
+    const entries = await fs.readdir(this.dbPath).catch(() => []);
+    await Promise.all(entries
+      .filter(entry => !entry.endsWith('.lock'))
+      .map(entry => fs.rm(path.join(this.dbPath, entry), { recursive: true, force: true })));
+    await fs.mkdir(this._metaPath(), { recursive: true });
+    await this._writeFormat();
+  }
+}
+
+async function readFormatVersion(formatPath) {
+  try {
+    return JSON.parse(await fs.readFile(formatPath, 'utf8')).version || 0;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
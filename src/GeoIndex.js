@@ -0,0 +1,105 @@
+import { pathValues } from './matcher.js';
+import { toGeometry, toPoint, conditionBounds } from './geo.js';
+
+const CELL_SIZE = 1;
+const MAX_CELLS = 10000;
+
+// A 2dsphere (or 2d) index over one location path. Points are bucketed into a
+// grid of one-degree cells, so a query bounded to a region only looks at the
+// documents in the cells it covers. Other shapes (lines, polygons) are few
+// enough to be kept aside and always considered. A path through an array of
+// subdocuments ('places.loc') indexes every location it reaches; documents
+// without a location are not indexed.
+export class GeoIndex {
+  constructor(fields, options = {}) {
+    this.fields = fields;
+    this.options = options;
+    this.name = options.name || Object.entries(fields).map(([path, type]) => `${path}_${type}`).join('_');
+    this.paths = Object.keys(fields);
+    this.path = this.paths.find(path => fields[path] === '2dsphere' || fields[path] === '2d');
+    this.geo = true;
+    this._cells = new Map();
+    this._shapes = new Map();
+    this._cellOf = new Map();
+  }
+
+  build(docs) {
+    this._cells = new Map();
+    this._shapes = new Map();
+    this._cellOf = new Map();
+    docs.forEach(doc => this.insert(doc));
+    return this;
+  }
+
+  insert(doc) {
+    const id = String(doc._id);
+    const cells = new Set();
+    for (const value of pathValues(doc, this.path)) {
+      const point = toPoint(value);
+      if (point) {
+        cells.add(cellKey(point[0], point[1]));
+      } else if (toGeometry(value)) {
+        this._shapes.set(id, doc);
+      }
+    }
+
+    cells.forEach(cell => {
+      if (!this._cells.has(cell)) this._cells.set(cell, new Map());
+      this._cells.get(cell).set(id, doc);
+    });
+    if (cells.size > 0) this._cellOf.set(id, cells);
+  }
+
+  remove(id) {
+    const cells = this._cellOf.get(String(id)) || [];
+    cells.forEach(cell => {
+      this._cells.get(cell).delete(String(id));
+      if (this._cells.get(cell).size === 0) this._cells.delete(cell);
+    });
+    this._cellOf.delete(String(id));
+    this._shapes.delete(String(id));
+  }
+
+  apply(changes) {
+    for (const change of changes) {
+      this.remove(change.op === 'delete' ? change._id : change.doc._id);
+      if (change.op !== 'delete') this.insert(change.doc);
+    }
+  }
+
+  // Candidate documents for a geo condition on the indexed path.
+  lookup(condition) {
+    const bounds = conditionBounds(condition);
+    const cells = bounds ? coveringCells(bounds) : null;
+    const docs = new Map(this._shapes);
+
+    const add = cell => cell.forEach((doc, id) => docs.set(id, doc));
+    if (!cells || cells.length > this._cells.size) {
+      this._cells.forEach(add);
+    } else {
+      cells.forEach(cell => add(this._cells.get(cell) || new Map()));
+    }
+    return [...docs.values()];
+  }
+}
+
+function cellKey(x, y) {
+  return `${Math.floor(x / CELL_SIZE)}:${Math.floor(y / CELL_SIZE)}`;
+}
+
+// Keys of the cells overlapping a box, or null when the box wraps around the
+// antimeridian or covers too many cells to be worth enumerating.
+function coveringCells([minX, minY, maxX, maxY]) {
+  if (minX < -180 || maxX > 180) return null;
+  const [fromX, fromY] = [Math.floor(minX / CELL_SIZE), Math.floor(minY / CELL_SIZE)];
+  const [toX, toY] = [Math.floor(maxX / CELL_SIZE), Math.floor(maxY / CELL_SIZE)];
+  if ((toX - fromX + 1) * (toY - fromY + 1) > MAX_CELLS) return null;
+
+  const cells = [];
+  for (let x = fromX; x <= toX; x++) {
+    for (let y = fromY; y <= toY; y++) {
+      cells.push(`${x}:${y}`);
+    }
+  }
+  return cells;
+}
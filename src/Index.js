@@ -0,0 +1,442 @@
+import isPlainObject from 'lodash/isPlainObject.js';
+import { compareValues, pathValues, keyValues, isOperatorObject } from './matcher.js';
+import { TextIndex } from './TextIndex.js';
+import { GeoIndex } from './GeoIndex.js';
+import { GEO_OPERATORS } from './geo.js';
+import { DuplicateKeyError } from './errors.js';
+
+// Index structures per document array. Storage hands out the same live array
+// for a collection until it reloads it, so indexes are shared by every model
+// reading that array and a reload simply starts over with fresh ones.
+const registry = new WeakMap();
+
+// A secondary index over one or more paths. Ordered indexes keep their
+// entries sorted by key, which serves equality, $in and range lookups as well
+// as sorts; hashed indexes bucket documents by the key of their only path.
+// Array values produce one entry per element (a multikey index).
+export class Index {
+  constructor(fields, options = {}) {
+    this.fields = fields;
+    this.options = options;
+    this.name = options.name || indexName(fields);
+    this.paths = Object.keys(fields);
+    this.hashed = Object.values(fields).includes('hashed');
+    this.sparse = Boolean(options.sparse);
+    this.unique = Boolean(options.unique);
+    this.multikey = false;
+    this._direction = this.hashed || fields[this.paths[0]] >= 0 ? 1 : -1;
+    this._entries = [];
+    this._buckets = new Map();
+    this._keys = new Map();
+  }
+
+  build(docs) {
+    this._entries = [];
+    this._buckets = new Map();
+    this._keys = new Map();
+    this.multikey = false;
+    for (const doc of docs) {
+      this._add(doc, false);
+    }
+    this._entries.sort((a, b) => this._compare(a.key, b.key));
+    return this;
+  }
+
+  insert(doc) {
+    this._add(doc, true);
+  }
+
+  remove(id) {
+    const keys = this._keys.get(String(id));
+    if (!keys) return;
+    this._keys.delete(String(id));
+
+    for (const key of keys) {
+      if (this.hashed) {
+        const bucket = this._buckets.get(hashKey(key[0]));
+        bucket.delete(String(id));
+        if (bucket.size === 0) this._buckets.delete(hashKey(key[0]));
+        continue;
+      }
+      let position = this._search(key, false);
+      while (position < this._entries.length && String(this._entries[position].doc._id) !== String(id)) {
+        position++;
+      }
+      this._entries.splice(position, 1);
+    }
+  }
+
+  apply(changes) {
+    for (const change of changes) {
+      this.remove(change.op === 'delete' ? change._id : change.doc._id);
+      if (change.op !== 'delete') this.insert(change.doc);
+    }
+  }
+
+  // Another indexed document sharing one of `doc`'s keys, as { doc, key },
+  // or null. Used to enforce unique indexes.
+  duplicateOf(doc) {
+    const id = String(doc._id);
+    for (const key of this._keysOf(doc)) {
+      const others = this.hashed
+        ? [...(this._buckets.get(hashKey(key[0])) || new Map()).values()]
+        : this._slice(this._search(key, false), this._search(key, true));
+      const other = others.find(candidate => String(candidate._id) !== id);
+      if (other) return { doc: other, key };
+    }
+    return null;
+  }
+
+  // Documents whose leading value equals one of `values`.
+  lookup(values) {
+    if (this.hashed) {
+      const docs = new Map();
+      for (const value of values) {
+        for (const [id, doc] of this._buckets.get(hashKey(value)) || []) {
+          docs.set(id, doc);
+        }
+      }
+      return [...docs.values()];
+    }
+    const sorted = [...values].sort((a, b) => this._direction * compareValues(a, b));
+    return unique(sorted.flatMap(value => this._slice(
+      this._search([value], false, 1),
+      this._search([value], true, 1)
+    )));
+  }
+
+  // Documents whose leading value lies within the bounds, each given as
+  // { value, inclusive } or omitted for an open end.
+  range(lower, upper) {
+    // An array can satisfy each bound through a different element, so a
+    // multikey index may only narrow the scan by one of them.
+    if (this.multikey && lower && upper) upper = null;
+
+    const [start, end] = this._direction > 0 ? [lower, upper] : [upper, lower];
+    return unique(this._slice(
+      start ? this._search([start.value], !start.inclusive, 1) : 0,
+      end ? this._search([end.value], end.inclusive, 1) : this._entries.length
+    ));
+  }
+
+  // Every indexed document, in index order for an ordered index.
+  scan(reverse = false) {
+    if (this.hashed) {
+      return [...this._buckets.values()].flatMap(bucket => [...bucket.values()]);
+    }
+    const docs = unique(this._entries.map(entry => entry.doc));
+    return reverse ? docs.reverse() : docs;
+  }
+
+  // Whether walking the index (forwards or backwards) yields documents in
+  // the order `sort` asks for. Returns 1, -1 or 0.
+  sortDirection(sort) {
+    const fields = Object.entries(sort);
+    if (this.hashed || this.multikey || fields.length === 0 || fields.length > this.paths.length) {
+      return 0;
+    }
+    const direction = Math.sign(fields[0][1]) * Math.sign(this.fields[this.paths[0]]);
+    const matches = fields.every(([path, order], i) =>
+      path === this.paths[i] && Math.sign(order) * Math.sign(this.fields[path]) === direction);
+    return matches ? direction : 0;
+  }
+
+  _add(doc, keepSorted) {
+    const keys = this._keysOf(doc);
+    if (keys.length === 0) return;
+    this._keys.set(String(doc._id), keys);
+    if (this.paths.some(path => {
+      const values = pathValues(doc, path);
+      return values.length > 1 || Array.isArray(values[0]);
+    })) {
+      this.multikey = true;
+    }
+
+    for (const key of keys) {
+      if (this.hashed) {
+        const hash = hashKey(key[0]);
+        if (!this._buckets.has(hash)) this._buckets.set(hash, new Map());
+        this._buckets.get(hash).set(String(doc._id), doc);
+      } else if (keepSorted) {
+        this._entries.splice(this._search(key, true), 0, { key, doc });
+      } else {
+        this._entries.push({ key, doc });
+      }
+    }
+  }
+
+  // The keys a document is indexed under: one value per path, expanded over
+  // array elements. Sparse indexes skip documents missing every path.
+  _keysOf(doc) {
+    if (this.sparse && this.paths.every(path => pathValues(doc, path).every(value => value === undefined))) {
+      return [];
+    }
+
+    let keys = [[]];
+    for (const path of this.paths) {
+      const options = keyValues(doc, path);
+      keys = keys.flatMap(key => options.map(option => [...key, option]));
+    }
+    return keys;
+  }
+
+  _compare(a, b, length = this.paths.length) {
+    for (let i = 0; i < length; i++) {
+      const result = compareValues(a[i], b[i]);
+      if (result !== 0) return this.fields[this.paths[i]] < 0 ? -result : result;
+    }
+    return 0;
+  }
+
+  // Position of the first entry not ordered before `key` (or, with `after`,
+  // the first entry ordered after it), comparing the first `length` paths.
+  _search(key, after, length) {
+    let low = 0;
+    let high = this._entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      const result = this._compare(this._entries[middle].key, key, length);
+      if (result < 0 || (after && result === 0)) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  _slice(start, end) {
+    return this._entries.slice(start, end).map(entry => entry.doc);
+  }
+}
+
+// The indexes for `docs`, building any of `definitions` ({ fields, options })
+// not built yet.
+export function getIndexes(docs, definitions) {
+  if (!registry.has(docs)) registry.set(docs, new Map());
+  const indexes = registry.get(docs);
+
+  return definitions.map(({ fields, options }) => {
+    // Keyed by the whole definition, so an index re-created under the same
+    // name with other options is built afresh.
+    const id = JSON.stringify([fields, options]);
+    if (!indexes.has(id)) {
+      indexes.set(id, buildIndex(docs, fields, options));
+    }
+    return indexes.get(id);
+  });
+}
+
+export function buildIndex(docs, fields, options = {}) {
+  const types = Object.values(fields);
+  let index;
+  if (types.includes('text')) {
+    index = new TextIndex(fields, options);
+  } else if (types.includes('2dsphere') || types.includes('2d')) {
+    index = new GeoIndex(fields, options);
+  } else {
+    index = new Index(fields, options);
+  }
+  return index.build(docs);
+}
+
+// Throws a DuplicateKeyError for the first of `docs` that shares a key of one
+// of the unique `indexes` with another indexed document.
+export function assertUniqueKeys(namespace, indexes, docs) {
+  for (const index of indexes) {
+    for (const doc of docs) {
+      const duplicate = index.duplicateOf(doc);
+      if (duplicate) {
+        const keyValue = Object.fromEntries(index.paths.map((path, i) => [path, duplicate.key[i]]));
+        throw new DuplicateKeyError(namespace, index, keyValue);
+      }
+    }
+  }
+}
+
+// Keeps built indexes in step with change records applied to `docs`.
+export function updateIndexes(docs, changes) {
+  const indexes = registry.get(docs);
+  if (!indexes || !changes) return;
+  indexes.forEach(index => index.apply(changes));
+}
+
+// Picks the index that narrows `conditions` the most, falling back to one that
+// can produce the requested sort order. A $text condition is always served by
+// the text index, which also yields each match's score; a geospatial condition
+// uses a 2dsphere index on its path when there is one. `hint` (an index name
+// or key pattern, or { $natural: 1 | -1 } for a collection scan) forces the
+// choice. Index keys are ordered without collation, so with `collated` set an
+// index is neither used to sort nor to look up strings.
+//
+// Returns the candidate documents (still to be matched) with a description of
+// the plan: { stage, index, keyPattern, direction, docs, sorted,
+// keysExamined, scores? }, where `sorted` says they already come out in
+// `sort` order.
+export function planQuery(indexes, docs, conditions, options = {}) {
+  const { sort = {}, hint, collated = false } = options;
+  if (hint && hint.$natural !== undefined) {
+    if (conditions.$text) throw new Error('$text queries cannot be hinted to a collection scan');
+    return hint.$natural < 0 ? collectionScan([...docs].reverse(), 'backward') : collectionScan(docs);
+  }
+  if (hint) {
+    const hinted = indexes.find(index => matchesHint(index, hint));
+    if (!hinted) throw new Error('hint provided does not correspond to an existing index');
+    indexes = [hinted];
+  }
+
+  if (conditions.$text) {
+    const textIndex = indexes.find(index => index.text);
+    if (!textIndex) throw new Error('text index required for $text query');
+    const results = textIndex.search(conditions.$text);
+    return {
+      ...indexPlan('TEXT', textIndex, [...results.values()].map(result => result.doc), 1, false),
+      scores: new Map([...results].map(([id, result]) => [id, result.score]))
+    };
+  }
+
+  const geoIndex = indexes.find(index => index.geo && isGeoCondition(conditions[index.path]));
+  if (geoIndex) {
+    return indexPlan('GEO', geoIndex, geoIndex.lookup(conditions[geoIndex.path]), 1, false);
+  }
+
+  const ordered = indexes.filter(index => !index.text && !index.geo);
+  let best = null;
+  for (const index of ordered) {
+    const bounds = boundsFor(index, conditions[index.paths[0]], collated);
+    if (!bounds) continue;
+    const rank = bounds.values ? (bounds.values.length === 1 ? 3 : 2) : 1;
+    if (!best || rank > best.rank ||
+        (rank === best.rank && !best.index.sortDirection(sort) && index.sortDirection(sort))) {
+      best = { index, bounds, rank };
+    }
+  }
+
+  if (best) {
+    const { index, bounds } = best;
+    let candidates = bounds.values
+      ? index.lookup(bounds.values)
+      : index.range(bounds.lower, bounds.upper);
+    const direction = collated ? 0 : index.sortDirection(sort);
+    if (direction < 0) candidates = candidates.reverse();
+    return indexPlan('IXSCAN', index, candidates, direction || 1, direction !== 0);
+  }
+
+  const sortIndex = !collated && ordered.find(index => !index.sparse && index.sortDirection(sort));
+  if (sortIndex) {
+    const direction = sortIndex.sortDirection(sort);
+    return indexPlan('IXSCAN', sortIndex, sortIndex.scan(direction < 0), direction, true);
+  }
+
+  // A hinted index that cannot narrow the query is scanned in full.
+  if (hint) {
+    const [index] = indexes;
+    if (index.text) throw new Error('a text index can only be used by $text queries');
+    if (index.geo) return indexPlan('GEO', index, index.lookup({}), 1, false);
+    return indexPlan('IXSCAN', index, index.scan(), 1, false);
+  }
+  return collectionScan(docs);
+}
+
+function indexPlan(stage, index, docs, direction, sorted) {
+  return {
+    stage,
+    index: index.name,
+    keyPattern: index.fields,
+    direction: direction < 0 ? 'backward' : 'forward',
+    docs,
+    sorted,
+    keysExamined: docs.length
+  };
+}
+
+function collectionScan(docs, direction = 'forward') {
+  return {
+    stage: 'COLLSCAN',
+    index: null,
+    keyPattern: null,
+    direction,
+    docs,
+    sorted: false,
+    keysExamined: 0
+  };
+}
+
+export function matchesHint(index, hint) {
+  if (typeof hint === 'string') return index.name === hint;
+  const fields = Object.entries(index.fields);
+  const hinted = Object.entries(hint);
+  return fields.length === hinted.length &&
+    fields.every(([path, type], i) => hinted[i][0] === path && hinted[i][1] === type);
+}
+
+// Lookup bounds an index can serve for a condition on its leading path, or
+// null when the condition has to be checked by scanning.
+function boundsFor(index, condition, collated) {
+  if (condition === undefined) return null;
+  const indexable = value => isIndexable(value) && !(collated && hasStrings(value));
+  // Equality with null also matches missing paths, which sparse indexes omit.
+  const lookup = values => (values.every(indexable) &&
+    !(index.sparse && values.includes(null)) ? { values } : null);
+
+  if (!isOperatorObject(condition)) return lookup([condition]);
+  if ('$eq' in condition) return lookup([condition.$eq]);
+  if (Array.isArray(condition.$in)) return lookup(condition.$in);
+  if (index.hashed) return null;
+
+  const bound = (operator, inclusive) => indexable(condition[operator]) &&
+    condition[operator] !== null ? { value: condition[operator], inclusive } : null;
+  const lower = bound('$gt', false) || bound('$gte', true);
+  const upper = bound('$lt', false) || bound('$lte', true);
+  return lower || upper ? { lower, upper } : null;
+}
+
+function isGeoCondition(condition) {
+  return isOperatorObject(condition) && GEO_OPERATORS.some(operator => operator in condition);
+}
+
+// Values that are compared as plain values rather than patterns or operators.
+function isIndexable(value) {
+  return value !== undefined && !(value instanceof RegExp) && !isOperatorObject(value) &&
+    !Array.isArray(value);
+}
+
+// Whether a value is or holds strings, which a collation compares
+// differently.
+function hasStrings(value) {
+  if (typeof value === 'string') return true;
+  if (Array.isArray(value)) return value.some(hasStrings);
+  return isPlainObject(value) && Object.values(value).some(hasStrings);
+}
+
+function unique(docs) {
+  const seen = new Set();
+  return docs.filter(doc => {
+    const id = String(doc._id);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+function hashKey(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (typeof value === 'object') return `object:${JSON.stringify(value)}`;
+  return `${typeof value}:${String(value)}`;
+}
+
+// The stored form of an index definition, as listed by Model.listIndexes().
+// Build-time options such as `background` are not part of it.
+export function toIndexSpec(fields, options = {}) {
+  const { name, background, ...rest } = options;
+  return { key: { ...fields }, name: name || indexName(fields), ...rest };
+}
+
+export function fromIndexSpec({ key, ...options }) {
+  return { fields: key, options };
+}
+
+export function indexName(fields) {
+  return Object.entries(fields).map(([path, type]) => `${path}_${type}`).join('_');
+}
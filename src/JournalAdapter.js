@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileAdapter } from './FileAdapter.js';
+import {
+  readJSON, writeJSON, parseJSON, parseLegacyJSON, stringifyJSON, applyChanges, fileSignature,
+  toChangeRecord
+} from './utils.js';
+
+const DEFAULT_COMPACT_THRESHOLD = 1024 * 1024;
+
+// Stores each collection as a snapshot (`<name>.json`) plus an append-only
+// journal of change records (`<name>.journal`, one JSON object per line), so
+// a write costs an append instead of rewriting the collection. Loading
+// replays the journal over the snapshot; once the journal outgrows
+// `compactThreshold` bytes it is folded into a fresh snapshot.
+export class JournalAdapter extends FileAdapter {
+  journalPath(name) {
+    return path.join(this.dbPath, `${name}.journal`);
+  }
+
+  async load(name) {
+    const journalPath = this.journalPath(name);
+    const cached = this._cache.get(name);
+    const snapshot = await fileSignature(this.collectionPath(name));
+    const journal = await statJournal(journalPath);
+
+    if (cached && cached.snapshot === snapshot && journal.ino === cached.journalIno) {
+      if (journal.size === cached.journalSize) {
+        return cached.docs;
+      }
+      if (journal.size > cached.journalSize) {
+        // Replayed into a copy: entries appended by another writer are a new
+        // version of the collection, not an edit of the one handed out.
+        const { changes, offset } = await readJournal(journalPath, cached.journalSize);
+        cached.docs = applyChanges([...cached.docs], changes);
+        cached.journalSize = offset;
+        return cached.docs;
+      }
+    }
+
+    const docs = await readJSON(this.collectionPath(name));
+    const { changes, offset } = await readJournal(journalPath, 0);
+    applyChanges(docs, changes);
+    this._cache.set(name, {
+      docs,
+      snapshot: snapshot || await fileSignature(this.collectionPath(name)),
+      journalIno: journal.ino,
+      journalSize: offset
+    });
+    return docs;
+  }
+
+  // Without change records there is nothing to append, so the given state is
+  // written out as a new snapshot instead.
+  async persist(name, docs, changes) {
+    const entry = this._cache.get(name);
+    if (!entry || !changes) {
+      return this._compact(name, docs);
+    }
+
+    entry.docs = docs;
+    if (changes.length === 0) return;
+
+    const journalPath = this.journalPath(name);
+    const data = changes.map(change => stringifyJSON(toChangeRecord(change))).join('\n') + '\n';
+    try {
+      // Bytes past the records we replayed may be a record cut short by a
+      // crash, which our append would run into. Writers hold the collection's
+      // lock, so no other append can be in progress.
+      if ((await statJournal(journalPath)).size > entry.journalSize) {
+        await truncateTornRecord(journalPath);
+      }
+      const handle = await fs.open(journalPath, 'a');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      const journal = await statJournal(journalPath);
+      entry.journalIno = journal.ino;
+      entry.journalSize = journal.size;
+    } catch (error) {
+      // The cached documents already hold the changes that failed to land.
+      this._evict(name);
+      throw error;
+    }
+    await this._written(name, docs);
+
+    const threshold = this.options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+    if (entry.journalSize > threshold) {
+      await this._compact(name, docs);
+    }
+  }
+
+  compact(name) {
+    return this.exclusive(name, async () => this._compact(name, await this.load(name)));
+  }
+
+  // The snapshot is replaced before the journal is cleared; should we crash
+  // in between, replaying the old journal over the new snapshot is harmless.
+  async _compact(name, docs) {
+    const journalPath = this.journalPath(name);
+    await writeJSON(this.collectionPath(name), docs);
+    await fs.truncate(journalPath, 0).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+
+    const journal = await statJournal(journalPath);
+    this._cache.set(name, {
+      docs,
+      snapshot: await fileSignature(this.collectionPath(name)),
+      journalIno: journal.ino,
+      journalSize: journal.size
+    });
+    await this._written(name, docs);
+  }
+
+  async _signature(name) {
+    const journal = await statJournal(this.journalPath(name));
+    const snapshot = await fileSignature(this.collectionPath(name));
+    return snapshot && `${snapshot}|${journal.ino}:${journal.size}`;
+  }
+
+  _collectionName(file) {
+    return file.endsWith('.journal') ? path.basename(file, '.journal') : super._collectionName(file);
+  }
+
+  async _migrateCollection(name) {
+    this._evict(name);
+    const docs = await readJSON(this.collectionPath(name), parseLegacyJSON);
+    const { changes } = await readJournal(this.journalPath(name), 0, parseLegacyJSON);
+    await this._compact(name, applyChanges(docs, changes));
+  }
+
+  async drop(name) {
+    await fs.rm(this.journalPath(name), { force: true });
+    return super.drop(name);
+  }
+}
+
+async function statJournal(journalPath) {
+  try {
+    const stats = await fs.stat(journalPath);
+    return { ino: stats.ino, size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ino: null, size: 0 };
+    throw error;
+  }
+}
+
+// Cuts the journal back to its last complete record.
+async function truncateTornRecord(journalPath) {
+  const buffer = await fs.readFile(journalPath);
+  const end = buffer.lastIndexOf('\n') + 1;
+  if (end < buffer.length) {
+    await fs.truncate(journalPath, end);
+  }
+}
+
+// Reads the complete records after byte `offset`. A trailing line without a
+// newline is an append still in progress (or cut short by a crash) and is
+// left for the next read.
+async function readJournal(journalPath, offset, parse = parseJSON) {
+  let buffer;
+  try {
+    buffer = await fs.readFile(journalPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { changes: [], offset: 0 };
+    throw error;
+  }
+
+  const end = buffer.lastIndexOf('\n') + 1;
+  if (end <= offset) {
+    return { changes: [], offset };
+  }
+
+  const changes = buffer.subarray(offset, end).toString('utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => parse(line, journalPath));
+  return { changes, offset: end };
+}
@@ -0,0 +1,40 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+let adapterCount = 0;
+
+export class MemoryAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.id = ++adapterCount;
+    this.collections = new Map();
+  }
+
+  key(name) {
+    return `memory:${this.id}:${name}`;
+  }
+
+  async load(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, []);
+    }
+    return this.collections.get(name);
+  }
+
+  async persist(name, docs) {
+    this.collections.set(name, docs);
+  }
+
+  async list() {
+    return [...this.collections.keys()];
+  }
+
+  async drop(name) {
+    this._indexSpecs.delete(name);
+    return this.collections.delete(name);
+  }
+
+  async dropAll() {
+    this.collections.clear();
+    this._indexSpecs.clear();
+  }
+}
@@ -1,23 +1,35 @@
-import { readJSON, writeJSON } from './utils.js';
 import { ObjectId } from 'bson';
-import path from 'path';
+import cloneDeep from 'lodash/cloneDeep.js';
+import isEqual from 'lodash/isEqual.js';
 import { Query } from './Query.js';
 import { Aggregate } from './Aggregate.js';
+import { ChangeStream } from './ChangeStream.js';
 import { Document } from './Document.js';
+import { matchQuery, sortDocuments, pathValues, toCollator } from './matcher.js';
+import { parseNear, nearDistance } from './geo.js';
+import { applyUpdate, upsertDocument } from './update.js';
+import { toFields, resolveProjection, applyProjection } from './projection.js';
+import { applyChanges } from './utils.js';
+import {
+  Index, getIndexes, buildIndex, planQuery, matchesHint, toIndexSpec, fromIndexSpec, assertUniqueKeys
+} from './Index.js';
+import { DuplicateKeyError } from './errors.js';
 import { EventEmitter } from 'events';
 import fs from 'fs-extra';
 
 export class Model {
-  constructor(name, schema, connection) {
+  constructor(name, schema, connection, options = {}) {
     this.name = name;
     this.schema = schema;
     this.connection = connection;
-    this.collectionPath = path.join(connection.dbPath, `${name}.json`);
+    // Default collation of queries, updates and deletes that don't give one.
+    this.collation = options.collation || schema.options.collation || null;
+    this.collectionPath = connection._collectionPath(name);
     this.collection = {
       name: this.name,
       collectionPath: this.collectionPath,
       async find(conditions = {}) {
-        return readJSON(this.collectionPath);
+        return cloneDeep(await connection._loadCollection(name));
       }
     };
     this.base = connection;
@@ -27,6 +39,8 @@ export class Model {
     this.modelName = name;
     this.baseModelName = null;
     this._indexes = new Map();
+    // Until the stored definitions are read, the schema's indexes apply.
+    this._useIndexes(this._schemaIndexes());
     
     this._initializeCollection();
     
@@ -39,19 +53,9 @@ export class Model {
     });
   }
 
-  async _createOne(data) {
-    const defaultedData = { ...data };
-    
-    for (const [field, schema] of Object.entries(this.schema.definition)) {
-      if (defaultedData[field] === undefined && schema.default !== undefined) {
-        defaultedData[field] = typeof schema.default === 'function' ? 
-          schema.default() : schema.default;
-      }
-      
-      if (schema.type === Date && typeof defaultedData[field] === 'string') {
-        defaultedData[field] = new Date(defaultedData[field]);
-      }
-    }
+  async _createOne(data, options = {}) {
+    const { session } = options;
+    const defaultedData = this._applyDefaults({ ...data });
 
     const errors = this.schema.validate(defaultedData);
     if (errors.length > 0) {
@@ -64,17 +68,23 @@ export class Model {
       }
     }
 
-    const docs = await readJSON(this.collectionPath);
-    const now = new Date();
-    const newDoc = { 
-      _id: new ObjectId().toString(), 
-      ...defaultedData,
-      createdAt: now,
-      updatedAt: now
-    };
+    const newDoc = await this._exclusive(async () => {
+      const docs = await this._load(session);
+      const now = new Date();
+      const newDoc = { 
+        _id: new ObjectId().toString(), 
+        ...defaultedData,
+        createdAt: now,
+        updatedAt: now
+      };
 
-    docs.push(newDoc);
-    await writeJSON(this.collectionPath, docs);
+      const stored = cloneDeep(newDoc);
+      this._assertNewId(docs, stored, session);
+      this._assertUnique(docs, stored, session);
+      docs.push(stored);
+      await this._write(docs, [{ op: 'insert', doc: stored }], session);
+      return newDoc;
+    }, session);
 
     if (this.schema.middleware.post.save) {
       for (const middleware of this.schema.middleware.post.save) {
@@ -82,87 +92,477 @@ export class Model {
       }
     }
 
-    return new Document(newDoc, this.schema, this);
-  }
-
-  async _find(conditions = {}) {
-    const docs = await readJSON(this.collectionPath);
-    return docs.filter(doc => this._matchQuery(doc, conditions));
-  }
-
-  _matchQuery(doc, query) {
-    return Object.entries(query).every(([key, value]) => {
-      if (value && typeof value === 'object') {
-        return Object.entries(value).every(([operator, operand]) => {
-          switch (operator) {
-            case '$gt': return doc[key] > operand;
-            case '$gte': return doc[key] >= operand;
-            case '$lt': return doc[key] < operand;
-            case '$lte': return doc[key] <= operand;
-            case '$ne': return doc[key] !== operand;
-            case '$in': 
-              const docValue = Array.isArray(doc[key]) ? doc[key] : [doc[key]];
-              return operand.some(item => docValue.includes(item));
-            case '$nin':
-              const docVal = Array.isArray(doc[key]) ? doc[key] : [doc[key]];
-              return !operand.some(item => docVal.includes(item));
-            case '$regex':
-              const regex = new RegExp(operand, value.$options);
-              return regex.test(doc[key]);
-            default:
-              return false;
-          }
-        });
+    return this._wrap(newDoc, session);
+  }
+
+  _applyDefaults(data) {
+    for (const [field, schema] of Object.entries(this.schema.definition)) {
+      if (data[field] === undefined && schema.default !== undefined) {
+        data[field] = typeof schema.default === 'function' ? 
+          schema.default() : schema.default;
       }
-      return doc[key] === value;
-    });
+      
+      if (schema.type === Date && typeof data[field] === 'string') {
+        data[field] = new Date(data[field]);
+      }
+    }
+    return data;
+  }
+
+  async _find(conditions = {}, options = {}) {
+    const { docs } = await this._query(conditions, options);
+    return docs;
+  }
+
+  // Matching documents, sorted by `options.sort` when given, along with the
+  // plan that produced them (see planQuery). Outside transactions the
+  // collection's indexes pick the candidates to match and, where one fits,
+  // supply the sort order; `options.hint` forces an index. For $text queries,
+  // `textScore` names the field that receives each document's relevance score.
+  // `collation` defaults to the model's.
+  async _query(conditions = {}, options = {}) {
+    const { session, sort = {}, hint, textScore, lazy = false, collation = this.collation } = options;
+    const collator = toCollator(collation);
+    const definitions = [...this._indexes.values()];
+    if (hint && hint.$natural === undefined &&
+        !definitions.some(({ fields, options }) => matchesHint({ name: options.name, fields }, hint))) {
+      throw new Error('hint provided does not correspond to an existing index');
+    }
+
+    const plan = inTransaction(session)
+      ? await session._exclusive(this.name, async () => {
+        const docs = await session._load(this.name);
+        return { ...this._plan(docs, conditions, { session }), collectionSize: docs.length };
+      })
+      : await this.connection._queue(this.name, async () => {
+        const docs = await this.connection._loadCollection(this.name);
+        return { ...this._plan(docs, conditions, { sort, hint, collator }), collectionSize: docs.length };
+      });
+
+    const { $text, ...filter } = conditions;
+    const scores = plan.scores || new Map();
+    let docs = plan.docs.filter(doc => matchQuery(doc, filter, collator));
+
+    // $near and $nearSphere return the nearest documents first, by their
+    // nearest location; an explicit sort takes precedence.
+    const nearPath = Object.keys(filter).find(path => isNearCondition(filter[path]));
+    if (nearPath) {
+      const near = parseNear(filter[nearPath]);
+      const distances = new Map(docs.map(doc => [doc, Math.min(...pathValues(doc, nearPath)
+        .map(value => nearDistance(value, near))
+        .filter(distance => distance !== null))]));
+      docs.sort((a, b) => distances.get(a) - distances.get(b));
+    }
+
+    let sortStrategy = nearPath ? 'DISTANCE' : 'NONE';
+    if (Object.keys(sort).length > 0) {
+      sortStrategy = plan.sorted && !nearPath ? 'INDEX' : 'IN_MEMORY';
+      if (sortStrategy === 'IN_MEMORY') {
+        docs = sortDocuments(docs, sort, doc => scores.get(String(doc._id)), collator);
+      }
+    }
+
+    // Stored documents are handed out as copies, which `lazy` callers make
+    // themselves, a few at a time.
+    const copy = doc => {
+      const copied = cloneDeep(doc);
+      if (textScore) copied[textScore] = scores.get(String(doc._id));
+      return copied;
+    };
+    return {
+      docs: lazy ? docs : docs.map(copy),
+      copy,
+      plan: {
+        stage: plan.stage,
+        index: plan.index,
+        keyPattern: plan.keyPattern,
+        direction: plan.direction,
+        keysExamined: plan.keysExamined,
+        docsExamined: plan.stage === 'COLLSCAN' ? plan.collectionSize : plan.docs.length,
+        sortStrategy
+      }
+    };
+  }
+
+  // Runs planQuery over `docs` with the model's indexes. Transaction working
+  // copies are not indexed, except by a text index built on demand, without
+  // which $text cannot be evaluated.
+  _plan(docs, conditions, { session, sort, hint, collator } = {}) {
+    const definitions = [...this._indexes.values()];
+    if (inTransaction(session)) {
+      const indexes = conditions.$text
+        ? definitions
+          .filter(({ fields }) => Object.values(fields).includes('text'))
+          .map(({ fields, options }) => buildIndex(docs, fields, options))
+        : [];
+      return planQuery(indexes, docs, conditions);
+    }
+    return planQuery(getIndexes(docs, definitions), docs, conditions, { sort, hint, collated: Boolean(collator) });
+  }
+
+  // The documents of `docs` matching `conditions`, with candidates picked
+  // the way _query picks them. Callers hold the collection.
+  _matching(docs, conditions, session, collator) {
+    const { $text, ...filter } = conditions;
+    return this._plan(docs, conditions, { session, collator })
+      .docs.filter(doc => matchQuery(doc, filter, collator));
+  }
+
+  // Inside a transaction, reads and writes go to the session's working copy
+  // of the collection instead of storage.
+  _exclusive(fn, session) {
+    if (inTransaction(session)) {
+      return session._exclusive(this.name, fn);
+    }
+    return this.connection._exclusive(this.name, fn);
+  }
+
+  _load(session) {
+    if (inTransaction(session)) {
+      return session._load(this.name);
+    }
+    return this.connection._loadCollection(this.name);
+  }
+
+  _write(docs, changes, session) {
+    if (inTransaction(session)) {
+      return session._stage(this.name, docs, changes);
+    }
+    return this.connection._writeCollection(this.name, docs, changes);
+  }
+
+  _wrap(doc, session, projection = null) {
+    const document = new Document(doc, this.schema, this);
+    if (session) document.$session(session);
+    document._selected = projection;
+    return document;
+  }
+
+  // Throws a DuplicateKeyError when `doc` would share a unique index key with
+  // another document of `docs` (the collection before `doc` is written).
+  _assertUnique(docs, doc, session) {
+    this._checkDuplicates(this._uniqueIndexes(docs, inTransaction(session)), [doc]);
+  }
+
+  // Throws a DuplicateKeyError when `doc`'s _id is already taken. The _id_
+  // index is not marked unique, since unique checks tell documents apart by
+  // their _id; inserts are checked here instead.
+  _assertNewId(docs, doc, session) {
+    const taken = inTransaction(session)
+      ? docs.some(other => String(other._id) === String(doc._id))
+      : getIndexes(docs, [ID_INDEX])[0].lookup([doc._id]).length > 0;
+    if (taken) {
+      const index = { name: ID_INDEX.options.name, fields: ID_INDEX.fields };
+      throw new DuplicateKeyError(`${this.connection.name}.${this.name}`, index, { _id: doc._id });
+    }
+  }
+
+  // Checks the documents written by `changes` once they are applied to
+  // `docs`; transactions use this at commit time.
+  _assertUniqueChanges(docs, changes) {
+    const written = changes.filter(change => change.op !== 'delete').map(change => change.doc);
+    if (written.length > 0) {
+      this._checkDuplicates(this._uniqueIndexes(docs, true), written);
+    }
+  }
+
+  _checkDuplicates(indexes, docs) {
+    assertUniqueKeys(`${this.connection.name}.${this.name}`, indexes, docs);
+  }
+
+  // Unique indexes over `docs`. Transaction working copies are not tracked
+  // by the shared indexes, so those get freshly built ones.
+  _uniqueIndexes(docs, fresh) {
+    const definitions = [...this._indexes.values()].filter(({ options }) => options.unique);
+    if (definitions.length === 0) return [];
+    return fresh
+      ? definitions.map(({ fields, options }) => new Index(fields, options).build(docs))
+      : getIndexes(docs, definitions);
+  }
+
+  _matchQuery(doc, query, collation = this.collation) {
+    return matchQuery(doc, query, toCollator(collation));
   }
 
   async _initializeCollection() {
     try {
-      await readJSON(this.collectionPath);
+      await this._exclusive(() => this.connection._loadCollection(this.name));
     } catch (error) {
       if (error.code === 'ENOENT') {
-        await writeJSON(this.collectionPath, []);
+        await this._exclusive(() => this.connection._writeCollection(this.name, [], []));
       }
     }
+
+    try {
+      const autoIndex = this.schema.options.autoIndex !== undefined
+        ? this.schema.options.autoIndex
+        : this.connection.options.autoIndex;
+      if (autoIndex === false) {
+        this._useIndexes(await this.connection.storage.loadIndexes(this.name));
+      } else {
+        await this.ensureIndexes();
+      }
+      this.events.emit('index');
+    } catch (error) {
+      this.events.emit('index', error);
+    }
   }
 
-  find(conditions = {}) {
-    return new Query(this, conditions);
+  _schemaIndexes() {
+    return this.schema.indexes().map(([fields, options]) => toIndexSpec(fields, options));
   }
 
-  async create(data) {
-    if (Array.isArray(data)) {
-      return Promise.all(data.map(item => this._createOne(item)));
+  // The stored `specs` plus the implicit index on _id.
+  _useIndexes(specs) {
+    this._indexes = new Map([['_id_', ID_INDEX], ...specs.map(spec => [spec.name, fromIndexSpec(spec)])]);
+  }
+
+  // Builds `specs` over the collection, checking unique ones against the
+  // documents already stored, and records them. Callers hold the collection.
+  async _buildIndexes(stored, specs) {
+    const docs = await this.connection._loadCollection(this.name);
+    for (const spec of specs) {
+      const { fields, options } = fromIndexSpec(spec);
+      if (options.unique) {
+        const index = new Index(fields, options).build(docs);
+        this._checkDuplicates([index], docs);
+      }
+      stored.push(spec);
     }
-    return this._createOne(data);
   }
 
-  async findOne(conditions = {}) {
-    const docs = await this._find(conditions);
-    return docs[0] ? new Document(docs[0], this.schema, this) : null;
+  async _saveIndexes(specs) {
+    await this.connection.storage.saveIndexes(this.name, specs);
+    this._useIndexes(specs);
+  }
+
+  async listIndexes() {
+    const specs = await this.connection._queue(this.name, () => this.connection.storage.loadIndexes(this.name));
+    return [{ v: 2, key: { _id: 1 }, name: '_id_' }, ...specs.map(spec => ({ v: 2, ...spec }))];
+  }
+
+  // Stored indexes the schema no longer declares (by name) and declared
+  // indexes that are missing or stored with different options.
+  async diffIndexes() {
+    const stored = await this.connection._queue(this.name, () => this.connection.storage.loadIndexes(this.name));
+    return diffIndexes(stored, this._schemaIndexes());
+  }
+
+  // Creates the schema's indexes that are not stored yet; existing indexes,
+  // including ones the schema no longer declares, are left alone.
+  async ensureIndexes() {
+    return this.connection._exclusive(this.name, async () => {
+      const stored = await this.connection.storage.loadIndexes(this.name);
+      this._useIndexes(stored);
+      const missing = [];
+      for (const spec of this._schemaIndexes()) {
+        const existing = stored.find(({ name }) => name === spec.name);
+        if (!existing) {
+          missing.push(spec);
+        } else if (!isEqual(existing, spec)) {
+          throw new Error(`Index ${spec.name} already exists on ${this.name} with different options`);
+        }
+      }
+      await this._buildIndexes(stored, missing);
+      await this._saveIndexes(stored);
+      return missing.map(({ name }) => name);
+    });
+  }
+
+  async createIndexes(options = {}) {
+    return this.ensureIndexes(options);
+  }
+
+  // Makes the stored indexes match the schema: drops the ones it does not
+  // declare (or declares differently) and creates the missing ones. Returns
+  // the names of the dropped indexes.
+  async syncIndexes(options = {}) {
+    return this.connection._exclusive(this.name, async () => {
+      const stored = await this.connection.storage.loadIndexes(this.name);
+      this._useIndexes(stored);
+      const { toDrop, toCreate } = diffIndexes(stored, this._schemaIndexes());
+      const kept = stored.filter(({ name }) => !toDrop.includes(name));
+      await this._buildIndexes(kept, toCreate);
+      await this._saveIndexes(kept);
+      return toDrop;
+    });
+  }
+
+  find(conditions = {}, projection = null, options = {}) {
+    const query = new Query(this, conditions);
+    return (projection ? query.select(projection) : query).setOptions(options);
   }
 
-  async updateOne(conditions, update) {
-    const docs = await readJSON(this.collectionPath);
-    const index = docs.findIndex(doc => this._matchQuery(doc, conditions));
-    if (index !== -1) {
-      docs[index] = { ...docs[index], ...update, updatedAt: new Date() };
-      await writeJSON(this.collectionPath, docs);
-      return { modifiedCount: 1, upsertedCount: 0 };
+  async create(data, options = {}) {
+    if (Array.isArray(data)) {
+      return Promise.all(data.map(item => this._createOne(item, options)));
     }
-    return { modifiedCount: 0, upsertedCount: 0 };
+    return this._createOne(data, options);
+  }
+
+  findOne(conditions = {}, projection = null, options = {}) {
+    return new Query(this).findOne(conditions, projection).setOptions(options);
+  }
+
+  findById(id, projection = null, options = {}) {
+    return this.findOne({ _id: id }, projection, options);
+  }
+
+  countDocuments(conditions = {}, options = {}) {
+    return new Query(this).countDocuments(conditions).setOptions(options);
+  }
+
+  estimatedDocumentCount() {
+    return new Query(this).estimatedDocumentCount();
   }
 
-  async deleteMany(conditions = {}) {
-    const docs = await readJSON(this.collectionPath);
-    const remaining = docs.filter(doc => !this._matchQuery(doc, conditions));
-    await writeJSON(this.collectionPath, remaining);
-    return { deletedCount: docs.length - remaining.length };
+  distinct(path, conditions = {}, options = {}) {
+    return new Query(this).distinct(path, conditions).setOptions(options);
+  }
+
+  // Number of stored documents, read without matching or copying them.
+  async _estimatedCount() {
+    return this.connection._queue(this.name, async () => {
+      const docs = await this.connection._loadCollection(this.name);
+      return docs.length;
+    });
+  }
+
+  async updateOne(conditions, update, options = {}) {
+    const { result } = await this._update(conditions, update, options, false);
+    return result;
+  }
+
+  async updateMany(conditions, update, options = {}) {
+    const { result } = await this._update(conditions, update, options, true);
+    return result;
+  }
+
+  // Returns the matched document as it was before the update, or as it is
+  // after it with `new: true` or `returnDocument: 'after'`. `sort` picks the
+  // document when several match.
+  async findOneAndUpdate(conditions = {}, update = {}, options = {}) {
+    const { session, lean } = options;
+    const after = options.new === true || options.returnDocument === 'after';
+    const { updated } = await this._update(conditions, update, options, false);
+    const doc = updated.length > 0 ? updated[0][after ? 'after' : 'before'] : null;
+    if (!doc) return null;
+
+    const projection = resolveProjection(toFields(options.projection || options.fields || {}), this.schema);
+    const projected = projection ? applyProjection(doc, projection, conditions) : cloneDeep(doc);
+    return lean ? projected : this._wrap(projected, session, projection);
+  }
+
+  findByIdAndUpdate(id, update = {}, options = {}) {
+    return this.findOneAndUpdate({ _id: id }, update, options);
+  }
+
+  // Applies `update` to the first document matching `conditions` (or every
+  // one, with `multi`), inserting one built from the conditions when none
+  // does and `upsert` is set. Resolves to the write result and the updated
+  // documents as { before, after }, `before` being null for an insert.
+  async _update(conditions, update, options, multi) {
+    const { session, upsert = false, sort, arrayFilters, collation = this.collation } = options;
+    const collator = toCollator(collation);
+    return this._exclusive(async () => {
+      const docs = await this._load(session);
+      const now = new Date();
+      let matches = this._matching(docs, conditions, session, collator);
+      if (sort) matches = sortDocuments([...matches], sort, undefined, collator);
+      if (!multi) matches = matches.slice(0, 1);
+
+      if (matches.length === 0 && upsert) {
+        const inserted = applyUpdate(upsertDocument(conditions), update, {
+          insert: true, now, conditions, arrayFilters
+        });
+        const stored = cloneDeep({
+          _id: new ObjectId().toString(),
+          ...this._applyDefaults(inserted),
+          createdAt: now,
+          updatedAt: now
+        });
+        this._assertNewId(docs, stored, session);
+        this._assertUnique(docs, stored, session);
+        docs.push(stored);
+        await this._write(docs, [{ op: 'insert', doc: stored }], session);
+        return {
+          result: { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id },
+          updated: [{ before: null, after: stored }]
+        };
+      }
+
+      const updated = [];
+      const changes = [];
+      for (const before of matches) {
+        const after = applyUpdate(before, update, { now, conditions, arrayFilters });
+        if (isEqual(after, before)) {
+          updated.push({ before, after: before });
+          continue;
+        }
+        after.updatedAt = now;
+        updated.push({ before, after });
+        changes.push({ op: 'update', doc: after, before });
+      }
+
+      if (changes.length === 1) {
+        this._assertUnique(docs, changes[0].doc, session);
+      } else if (changes.length > 1) {
+        this._assertUniqueChanges(applyChanges([...docs], changes), changes);
+      }
+      if (changes.length > 0) {
+        applyChanges(docs, changes);
+        await this._write(docs, changes, session);
+      }
+      return {
+        result: {
+          acknowledged: true,
+          matchedCount: matches.length,
+          modifiedCount: changes.length,
+          upsertedCount: 0,
+          upsertedId: null
+        },
+        updated
+      };
+    }, session);
+  }
+
+  async deleteMany(conditions = {}, options = {}) {
+    const { session, collation = this.collation } = options;
+    return this._exclusive(async () => {
+      const docs = await this._load(session);
+      const changes = this._matching(docs, conditions, session, toCollator(collation))
+        .map(doc => ({ op: 'delete', _id: doc._id }));
+      applyChanges(docs, changes);
+      await this._write(docs, changes, session);
+      return { deletedCount: changes.length };
+    }, session);
   }
 
   aggregate(pipeline = []) {
     return new Aggregate(this, pipeline);
   }
+
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this.connection, this.name, pipeline, options);
+  }
+}
+
+const ID_INDEX = { fields: { _id: 1 }, options: { name: '_id_' } };
+
+function isNearCondition(condition) {
+  return Boolean(condition) && typeof condition === 'object' &&
+    ('$near' in condition || '$nearSphere' in condition);
+}
+
+function diffIndexes(stored, declared) {
+  const toDrop = stored
+    .filter(spec => !declared.some(other => isEqual(other, spec)))
+    .map(({ name }) => name);
+  const toCreate = declared
+    .filter(spec => !stored.some(other => isEqual(other, spec)));
+  return { toDrop, toCreate };
+}
+
+function inTransaction(session) {
+  return Boolean(session && session.inTransaction());
 }
\ No newline at end of file
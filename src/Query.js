@@ -1,6 +1,10 @@
+import cloneDeep from 'lodash/cloneDeep.js';
 import { validateType } from './utils.js';
+import { isTextScore, pathValues, compareValues, toCollator } from './matcher.js';
+import { toFields, resolveProjection, applyProjection } from './projection.js';
 import { QueryBuilder } from './QueryBuilder.js';
-import { Document } from './Document.js';
+import { QueryCursor } from './QueryCursor.js';
+import { DocumentNotFoundError } from './errors.js';
 
 export class Query {
   constructor(model, conditions = {}) {
@@ -27,6 +31,8 @@ export class Query {
     this._geoComparison = null;
     this._middleware = { pre: [], post: [] };
     this._geometry = null;
+    this._op = 'find';
+    this._transforms = [];
   }
 
   where(path) {
@@ -34,13 +40,53 @@ export class Query {
   }
 
   select(fields) {
-    if (typeof fields === 'string') {
-      fields.split(/\s+/).forEach(field => {
-        this._fields[field.replace(/^-/, '')] = field.startsWith('-') ? 0 : 1;
-      });
-    } else {
-      Object.assign(this._fields, fields);
-    }
+    Object.assign(this._fields, toFields(fields));
+    return this;
+  }
+
+  find(conditions = {}) {
+    this._op = 'find';
+    this.conditions = { ...this.conditions, ...conditions };
+    return this;
+  }
+
+  findOne(conditions = {}, projection = null) {
+    this._op = 'findOne';
+    this.conditions = { ...this.conditions, ...conditions };
+    return projection ? this.select(projection) : this;
+  }
+
+  countDocuments(conditions = {}) {
+    this._op = 'countDocuments';
+    this.conditions = { ...this.conditions, ...conditions };
+    return this;
+  }
+
+  estimatedDocumentCount() {
+    this._op = 'estimatedDocumentCount';
+    return this;
+  }
+
+  distinct(path, conditions = {}) {
+    this._op = 'distinct';
+    this._distinct = path;
+    this.conditions = { ...this.conditions, ...conditions };
+    return this;
+  }
+
+  lean(lean = true) {
+    this._mongooseOptions.lean = lean;
+    return this;
+  }
+
+  setOptions(options = {}) {
+    const { session, sort, skip, limit, lean, ...rest } = options;
+    if (session !== undefined) this.session(session);
+    if (sort) this.sort(sort);
+    if (skip !== undefined) this.skip(skip);
+    if (limit !== undefined) this.limit(limit);
+    if (lean !== undefined) this.lean(lean);
+    Object.assign(this._options, rest);
     return this;
   }
 
@@ -75,7 +121,8 @@ export class Query {
   }
 
   async _populateDoc(doc) {
-    const populatedDoc = new Document(doc._doc, this.model.schema, this.model);
+    const lean = Boolean(this._mongooseOptions.lean);
+    const populatedDoc = lean ? { ...doc } : this.model._wrap(doc._doc, this._session, doc._selected);
     
     for (const populate of this._populate) {
       const path = populate.path;
@@ -89,9 +136,11 @@ export class Query {
         if (!value) continue;
 
         try {
-          const populatedValue = await refModel.findOne({ _id: value });
+          const populatedValue = await refModel
+            .findOne({ _id: value }, populate.select || null, { session: this._session })
+            .lean(lean);
           if (populatedValue) {
-            populatedDoc._populated.set(path, populatedValue);
+            if (!lean) populatedDoc._populated.set(path, populatedValue);
             populatedDoc[path] = populatedValue;
           }
         } catch (error) {
@@ -104,65 +153,154 @@ export class Query {
   }
 
   async exec() {
-    let docs = await this.model._find(this.conditions);
-    
-    // Apply sort
-    if (Object.keys(this._sort).length > 0) {
-      docs.sort((a, b) => {
-        for (const [field, order] of Object.entries(this._sort)) {
-          if (a[field] < b[field]) return -1 * order;
-          if (a[field] > b[field]) return 1 * order;
-        }
-        return 0;
-      });
+    const result = await this._execute();
+    if (this._explain) return result;
+
+    const empty = this._op === 'find' ? result.length === 0 : this._op === 'findOne' && result === null;
+    if (this._error && empty) {
+      throw typeof this._error === 'function' ? this._error() : this._error;
     }
+    return this._transforms.reduce((value, fn) => fn(value), result);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+
+  finally(fn) {
+    return this.exec().finally(fn);
+  }
+
+  async _execute() {
+    if (this._op === 'estimatedDocumentCount') {
+      return this.model._estimatedCount();
+    }
+
+    const started = Date.now();
+    const { docs, plan, finish } = await this._open();
+    if (this._explain) {
+      return this._explainPlan(plan, docs.length, Date.now() - started);
+    }
+    if (this._op === 'countDocuments') {
+      return docs.length;
+    }
+    if (this._op === 'distinct') {
+      const collator = toCollator(this._options.collation || this.model.collation);
+      return cloneDeep(distinctValues(docs, this._distinct, collator));
+    }
+
+    const results = await finish(docs);
+    if (this._op === 'findOne') {
+      return results[0] || null;
+    }
+    return results;
+  }
+
+  // Runs the query up to the point of producing results: the matching stored
+  // documents in order, after skip and limit, and `finish(docs)`, which turns
+  // some of them into the documents (or lean objects) the query returns.
+  async _open() {
+    const projection = resolveProjection(this._fields, this.model.schema);
+    const textScore = Object.keys(this._fields).find(field => isTextScore(this._fields[field]));
+    const { docs: matched, plan, copy } = await this.model._query(this.conditions, {
+      session: this._session,
+      sort: this._sort,
+      hint: this._hint,
+      textScore,
+      collation: this._options.collation,
+      lazy: true
+    });
+    let docs = matched;
 
     // Apply skip and limit
     if (this._skip) {
       docs = docs.slice(this._skip);
     }
-    if (this._limit) {
+    if (this._op === 'findOne') {
+      docs = docs.slice(0, 1);
+    } else if (this._limit) {
       docs = docs.slice(0, this._limit);
     }
 
-    // Convert to Documents and handle population
-    const documents = docs.map(doc => new Document(doc, this.model.schema, this.model));
-    
-    if (this._populate.length > 0) {
-      return Promise.all(documents.map(doc => this._populateDoc(doc)));
-    }
+    const finish = async batch => {
+      let results = batch.map(copy);
+      if (projection) {
+        results = results.map(doc => applyProjection(doc, projection, this.conditions));
+      }
+
+      // Convert to Documents and handle population
+      if (!this._mongooseOptions.lean) {
+        results = results.map(doc => this.model._wrap(doc, this._session, projection));
+      }
+      if (this._populate.length > 0) {
+        results = await Promise.all(results.map(doc => this._populateDoc(doc)));
+      }
+      return results;
+    };
+    return { docs, plan, finish };
+  }
 
-    return documents;
+  // A cursor over the results, which are copied, projected and wrapped a
+  // batch (see batchSize()) at a time as they are read.
+  cursor(options = {}) {
+    return new QueryCursor(this, options);
   }
 
-  // Rest of the Query class methods remain the same...
+  // Geospatial helpers; each sets the condition on `path`. `box` takes
+  // { ll, ur } or [ll, ur] corners, `circle` takes { center, radius,
+  // spherical } (radius in radians when spherical), and `geometry` applies a
+  // GeoJSON shape with $geoWithin, or $geoIntersects after intersects().
   box(path, box) {
-    this._geometry = { type: 'box', path, coordinates: box };
+    const corners = Array.isArray(box) ? box : [box.ll, box.ur];
+    this.conditions[path] = { $geoWithin: { $box: corners } };
     return this;
   }
 
   center(path, center) {
-    this._geometry = { type: 'center', path, coordinates: center };
-    return this;
+    return this.circle(path, center);
   }
 
   centerSphere(path, centerSphere) {
-    this._geometry = { type: 'centerSphere', path, coordinates: centerSphere };
-    return this;
+    return this.circle(path, { ...centerSphere, spherical: true });
   }
 
-  circle(path, circle) {
-    this._geometry = { type: 'circle', path, coordinates: circle };
+  circle(path, { center, radius, spherical }) {
+    this.conditions[path] = {
+      $geoWithin: { [spherical ? '$centerSphere' : '$center']: [center, radius] }
+    };
     return this;
   }
 
   geometry(path, geometry) {
-    this._geometry = { type: 'geometry', path, coordinates: geometry };
+    this.conditions[path] = { [this._geoComparison || '$geoWithin']: { $geometry: geometry } };
+    this._geoComparison = null;
     return this;
   }
 
   polygon(path, coordinates) {
-    this._geometry = { type: 'polygon', path, coordinates };
+    this.conditions[path] = { $geoWithin: { $polygon: coordinates } };
+    return this;
+  }
+
+  // `center` may be a GeoJSON point (distances in meters) or a legacy
+  // [x, y] pair (flat units, or radians when spherical).
+  near(path, { center, maxDistance, minDistance, spherical }) {
+    const operator = spherical ? '$nearSphere' : '$near';
+    const distances = {};
+    if (maxDistance !== undefined) distances.$maxDistance = maxDistance;
+    if (minDistance !== undefined) distances.$minDistance = minDistance;
+    this.conditions[path] = Array.isArray(center)
+      ? { [operator]: center, ...distances }
+      : { [operator]: { $geometry: center, ...distances } };
+    return this;
+  }
+
+  intersects() {
+    this._geoComparison = '$geoIntersects';
     return this;
   }
 
@@ -181,6 +319,11 @@ export class Query {
     return this;
   }
 
+  session(session) {
+    this._session = session;
+    return this;
+  }
+
   hint(index) {
     this._hint = index;
     return this;
@@ -191,6 +334,51 @@ export class Query {
     return this;
   }
 
+  // Shaped like MongoDB's explain output: the winning plan as a tree of
+  // stages, plus execution statistics unless only 'queryPlanner' is asked for.
+  _explainPlan(plan, nReturned, executionTimeMillis) {
+    let winningPlan = plan.stage === 'COLLSCAN'
+      ? { stage: 'COLLSCAN', direction: plan.direction }
+      : {
+        stage: 'FETCH',
+        inputStage: {
+          stage: plan.stage,
+          indexName: plan.index,
+          keyPattern: plan.keyPattern,
+          direction: plan.direction
+        }
+      };
+    if (plan.sortStrategy === 'IN_MEMORY') {
+      winningPlan = { stage: 'SORT', sortPattern: this._sort, inputStage: winningPlan };
+    }
+    if (this._skip) {
+      winningPlan = { stage: 'SKIP', skipAmount: this._skip, inputStage: winningPlan };
+    }
+    if (this._limit) {
+      winningPlan = { stage: 'LIMIT', limitAmount: this._limit, inputStage: winningPlan };
+    }
+
+    const explanation = {
+      queryPlanner: {
+        namespace: `${this.model.connection.name}.${this.model.name}`,
+        parsedQuery: this.conditions,
+        indexName: plan.index,
+        sortStrategy: plan.sortStrategy,
+        hint: this._hint,
+        winningPlan
+      }
+    };
+    if (this._explain !== 'queryPlanner') {
+      explanation.executionStats = {
+        nReturned,
+        executionTimeMillis,
+        totalKeysExamined: plan.keysExamined,
+        totalDocsExamined: plan.docsExamined
+      };
+    }
+    return explanation;
+  }
+
   all(path, values) {
     this.conditions[path] = { $all: values };
     return this;
@@ -222,8 +410,18 @@ export class Query {
     return this;
   }
 
+  or(conditions) {
+    if (!this.conditions.$or) {
+      this.conditions.$or = [];
+    }
+    this.conditions.$or.push(...conditions);
+    return this;
+  }
+
+  // Makes find() and findOne() reject when nothing matches, with `error` (or
+  // the error returned by `error()`), or else a DocumentNotFoundError.
   orFail(error) {
-    this._error = error || new Error('No document found');
+    this._error = error || (() => new DocumentNotFoundError(this.conditions, this.model.name));
     return this;
   }
 
@@ -238,11 +436,27 @@ export class Query {
   }
 
   transform(fn) {
-    this._transform = fn;
+    this._transforms.push(fn);
     return this;
   }
 
   within() {
+    this._geoComparison = '$geoWithin';
     return this;
   }
-}
\ No newline at end of file
+}
+
+// The distinct values of a path, with arrays contributing their elements.
+function distinctValues(docs, path, collator) {
+  const values = [];
+  for (const doc of docs) {
+    for (const value of pathValues(doc, path)) {
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some(other => compareValues(other, item, collator) === 0)) {
+          values.push(item);
+        }
+      }
+    }
+  }
+  return values;
+}
@@ -48,4 +48,36 @@ export class QueryBuilder {
     this.query.conditions[this.path] = { $regex: pattern, $options: options };
     return this.query;
   }
+
+  // Geospatial conditions, e.g. `where('loc').within().box(ll, ur)` or
+  // `where('loc').intersects().geometry(shape)`.
+  within() {
+    this.query.within();
+    return this;
+  }
+
+  intersects() {
+    this.query.intersects();
+    return this;
+  }
+
+  box(ll, ur) {
+    return this.query.box(this.path, ur ? [ll, ur] : ll);
+  }
+
+  circle(circle) {
+    return this.query.circle(this.path, circle);
+  }
+
+  polygon(...points) {
+    return this.query.polygon(this.path, points.length === 1 && Array.isArray(points[0][0]) ? points[0] : points);
+  }
+
+  geometry(geometry) {
+    return this.query.geometry(this.path, geometry);
+  }
+
+  near(options) {
+    return this.query.near(this.path, options);
+  }
 }
\ No newline at end of file
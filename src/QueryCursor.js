@@ -0,0 +1,93 @@
+import { Readable } from 'stream';
+
+const DEFAULT_BATCH_SIZE = 100;
+
+// Reads a query's results a batch at a time: the query runs once, when the
+// first document is asked for, and matching documents are copied, projected
+// and wrapped `batchSize` at a time as they are consumed. Results can be read
+// with `next()`, `for await`, `eachAsync()` or as an object-mode stream.
+export class QueryCursor extends Readable {
+  constructor(query, options = {}) {
+    super({ objectMode: true });
+    this.query = query;
+    this.options = options;
+    this.batchSize = options.batchSize || query._batchSize || DEFAULT_BATCH_SIZE;
+    this._opened = null;
+    this._position = 0;
+    this._buffer = [];
+    this._pending = Promise.resolve();
+  }
+
+  // The next document, or null once the results are exhausted or the cursor
+  // is closed. Concurrent calls are served in order.
+  next() {
+    const result = this._pending.then(() => this._next());
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  async _next() {
+    if (this.destroyed) return null;
+    if (this._buffer.length === 0) {
+      if (!this._opened) this._opened = this.query._open();
+      const { docs, finish } = await this._opened;
+      const batch = docs.slice(this._position, this._position + this.batchSize);
+      if (batch.length === 0) return null;
+      this._position += batch.length;
+      this._buffer = await finish(batch);
+    }
+    if (this.destroyed) return null;
+    return this._buffer.shift();
+  }
+
+  _read() {
+    this.next().then(
+      doc => { if (!this.destroyed) this.push(doc); },
+      error => this.destroy(error)
+    );
+  }
+
+  async *[Symbol.asyncIterator]() {
+    try {
+      while (true) {
+        const doc = await this.next();
+        if (doc === null) return;
+        yield doc;
+      }
+    } finally {
+      await this.close();
+    }
+  }
+
+  // Calls `fn(doc, index)` for every document, with up to `parallel` calls in
+  // flight. Stops at the first error, which it rethrows after closing.
+  async eachAsync(fn, { parallel = 1 } = {}) {
+    let index = 0;
+    let failed = false;
+    const worker = async () => {
+      while (!failed) {
+        const doc = await this.next();
+        if (doc === null) return;
+        try {
+          await fn(doc, index++);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.max(1, parallel) }, worker));
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.destroyed) return;
+    this._buffer = [];
+    this.destroy();
+  }
+}
@@ -75,12 +75,33 @@ export class Schema {
       if (options.required) {
         this._requiredPaths.add(path);
       }
-      if (options.index) {
-        this.index({ [path]: 1 });
+      if (options.index || options.unique || options.text) {
+        this._indexPath(path, options);
       }
     }
   }
 
+  // `index` on a path may be `true`, an index type such as 'hashed', or
+  // index options; `unique` and `sparse` beside it apply to the same index.
+  // Paths marked `text: true` share the schema's single text index.
+  _indexPath(path, { index, unique, sparse, text }) {
+    if (text || index === 'text') {
+      const existing = this._indexes.find(([fields]) => Object.values(fields).includes('text'));
+      if (existing) {
+        existing[0][path] = 'text';
+      } else {
+        this.index({ [path]: 'text' });
+      }
+      return;
+    }
+
+    const type = typeof index === 'string' ? index : 1;
+    const options = typeof index === 'object' ? { ...index } : {};
+    if (unique) options.unique = true;
+    if (sparse) options.sparse = true;
+    this.index({ [path]: type }, options);
+  }
+
   add(obj) {
     for (const [path, options] of Object.entries(obj)) {
       this.definition[path] = options;
@@ -88,6 +109,9 @@ export class Schema {
       if (options.required) {
         this._requiredPaths.add(path);
       }
+      if (options.index || options.unique || options.text) {
+        this._indexPath(path, options);
+      }
     }
     return this;
   }
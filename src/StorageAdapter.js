@@ -0,0 +1,109 @@
+import { EventEmitter } from 'events';
+import { runExclusive, applyChanges } from './utils.js';
+
+// Contract between a Connection and the place its collections live. A
+// collection is an array of plain documents; `load` hands out the adapter's
+// live array and `persist` stores a new state of it, along with the change
+// records that produced it (see `applyChanges` in utils). Subclasses must
+// implement `key`, `load`, `persist`, `list` and `drop`; everything else is
+// optional.
+export class StorageAdapter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this._indexSpecs = new Map();
+  }
+
+  async connect() {}
+
+  // Reports an error of background work (a delayed flush, file watching) to
+  // 'error' listeners. Without one it is dropped rather than thrown, since
+  // nothing could catch it; a failed flush leaves its collection dirty, so
+  // the next flush() or close() retries it and rejects if it fails again.
+  _reportError(error) {
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  async flush() {}
+
+  // Identifies a collection process-wide; writes sharing a key are serialized.
+  key(name) {
+    throw new Error(`${this.constructor.name} does not implement key()`);
+  }
+
+  // Where the collection is stored, for adapters backed by files.
+  collectionPath(name) {
+    return null;
+  }
+
+  // Guards a read-modify-write section against other processes.
+  async lock(name, fn) {
+    return fn();
+  }
+
+  queue(name, fn) {
+    return runExclusive(this.key(name), fn);
+  }
+
+  exclusive(name, fn) {
+    return this.queue(name, () => this.lock(name, fn));
+  }
+
+  // Holds several collections at once, taken in name order so that callers
+  // locking overlapping sets cannot deadlock.
+  exclusiveAll(names, fn) {
+    return [...new Set(names)].sort()
+      .reduceRight((next, name) => () => this.exclusive(name, next), fn)();
+  }
+
+  // Reports changes made to stored collections by other processes, as
+  // `listener(name, changes)`; returns a function that stops watching.
+  watch(name, listener) {
+    return () => {};
+  }
+
+  async load(name) {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  async persist(name, docs, changes) {
+    throw new Error(`${this.constructor.name} does not implement persist()`);
+  }
+
+  // Applies { name, changes } for several collections as one unit. Callers
+  // hold `exclusive` on every collection in the batch.
+  async commit(batch) {
+    for (const { name, changes } of batch) {
+      const docs = applyChanges(await this.load(name), changes);
+      await this.persist(name, docs, changes);
+    }
+  }
+
+  // Index definitions of a collection ({ key, name, ...options } each).
+  // Kept in memory unless an adapter stores them with the collection.
+  async loadIndexes(name) {
+    return [...(this._indexSpecs.get(name) || [])];
+  }
+
+  async saveIndexes(name, indexes) {
+    this._indexSpecs.set(name, indexes);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  async drop(name) {
+    throw new Error(`${this.constructor.name} does not implement drop()`);
+  }
+
+  async dropAll() {
+    for (const name of await this.list()) {
+      await this.drop(name);
+    }
+  }
+}
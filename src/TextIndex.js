@@ -0,0 +1,298 @@
+import { pathValues } from './matcher.js';
+
+const LANGUAGES = ['english', 'en', 'none'];
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+  'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+  'yourselves'
+]);
+
+// An inverted index over the string values of one or more paths (or every
+// string in the document, for a `$**` index). Terms are lower-cased, stripped
+// of diacritics, and — unless the language is 'none' — filtered for stop
+// words and stemmed, so 'Running' and 'runs' both find 'run'.
+export class TextIndex {
+  constructor(fields, options = {}) {
+    this.fields = fields;
+    this.options = options;
+    this.name = options.name || Object.entries(fields).map(([path, type]) => `${path}_${type}`).join('_');
+    this.paths = Object.keys(fields).filter(path => fields[path] === 'text');
+    this.text = true;
+    this.weights = options.weights || {};
+    this.language = options.default_language || 'english';
+    assertLanguage(this.language);
+    this._postings = new Map();
+    this._docs = new Map();
+    this._terms = new Map();
+  }
+
+  build(docs) {
+    this._postings = new Map();
+    this._docs = new Map();
+    this._terms = new Map();
+    docs.forEach(doc => this.insert(doc));
+    return this;
+  }
+
+  insert(doc) {
+    const id = String(doc._id);
+    const scores = this._scoreTerms(doc);
+    if (scores.size === 0) return;
+
+    this._docs.set(id, doc);
+    this._terms.set(id, [...scores.keys()]);
+    for (const [term, score] of scores) {
+      if (!this._postings.has(term)) this._postings.set(term, new Map());
+      this._postings.get(term).set(id, score);
+    }
+  }
+
+  remove(id) {
+    const terms = this._terms.get(String(id));
+    if (!terms) return;
+    for (const term of terms) {
+      const posting = this._postings.get(term);
+      posting.delete(String(id));
+      if (posting.size === 0) this._postings.delete(term);
+    }
+    this._terms.delete(String(id));
+    this._docs.delete(String(id));
+  }
+
+  apply(changes) {
+    for (const change of changes) {
+      this.remove(change.op === 'delete' ? change._id : change.doc._id);
+      if (change.op !== 'delete') this.insert(change.doc);
+    }
+  }
+
+  // Runs a $text query ({ $search, $language, $caseSensitive,
+  // $diacriticSensitive }). Returns a Map of _id to { doc, score } for the
+  // matching documents.
+  search(query) {
+    const language = query.$language || this.language;
+    assertLanguage(language);
+    const { terms, negated, phrases, negatedPhrases } = parseSearch(String(query.$search || ''));
+    const termOptions = { language };
+    const positive = unique([...terms, ...phrases.flatMap(phrase => phrase.split(/\s+/))]
+      .flatMap(word => tokenize(word, termOptions)));
+    const excluded = new Set(negated.flatMap(word => tokenize(word, termOptions)));
+
+    const results = new Map();
+    for (const term of positive) {
+      for (const [id, score] of this._postings.get(term) || []) {
+        const result = results.get(id) || { doc: this._docs.get(id), score: 0 };
+        result.score += score;
+        results.set(id, result);
+      }
+    }
+
+    // $caseSensitive and $diacriticSensitive are checked against the original
+    // text: a match must contain one of the search words exactly as given.
+    const textOptions = {
+      caseSensitive: Boolean(query.$caseSensitive),
+      diacriticSensitive: Boolean(query.$diacriticSensitive)
+    };
+    const exact = textOptions.caseSensitive || textOptions.diacriticSensitive;
+    const words = [...terms, ...phrases];
+    for (const [id, { doc }] of results) {
+      const text = this._strings(doc).map(value => normalize(value, textOptions));
+      const contains = phrase => text.some(value => value.includes(normalize(phrase, textOptions)));
+      const rejected = this._terms.get(id).some(term => excluded.has(term)) ||
+        !phrases.every(contains) || negatedPhrases.some(contains) ||
+        (exact && !words.some(contains));
+      if (rejected) results.delete(id);
+    }
+    return results;
+  }
+
+  // Score of each term in `doc`: per field, repeated occurrences add
+  // diminishing amounts, scaled by the field's weight and by how much of the
+  // field the term makes up.
+  _scoreTerms(doc) {
+    const scores = new Map();
+    for (const { path, value } of this._fieldValues(doc)) {
+      const weight = this.weights[path] || 1;
+      const tokens = tokenize(value, { language: this.language });
+      const counts = new Map();
+      tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+      for (const [term, count] of counts) {
+        let frequency = 0;
+        for (let i = 0; i < count; i++) frequency += 1 / Math.pow(2, i);
+        const coefficient = 0.5 * count / tokens.length + 0.5;
+        const exact = value.trim().toLowerCase() === term ? 1.1 : 1;
+        scores.set(term, (scores.get(term) || 0) + weight * frequency * coefficient * exact);
+      }
+    }
+    return scores;
+  }
+
+  _fieldValues(doc) {
+    if (this.paths.includes('$**')) {
+      return collectStrings(doc, '');
+    }
+    return this.paths.flatMap(path => pathValues(doc, path)
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(item => typeof item === 'string')
+      .map(item => ({ path, value: item })));
+  }
+
+  _strings(doc) {
+    return this._fieldValues(doc).map(({ value }) => value);
+  }
+}
+
+// Splits a $search string into terms, negated terms ('-term'), phrases
+// ('"exact phrase"') and negated phrases ('-"exact phrase"').
+export function parseSearch(search) {
+  const result = { terms: [], negated: [], phrases: [], negatedPhrases: [] };
+  const pattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(search)) !== null) {
+    if (match[2] !== undefined) {
+      if (match[2].trim()) {
+        (match[1] ? result.negatedPhrases : result.phrases).push(match[2].trim());
+      }
+    } else if (match[3].startsWith('-')) {
+      if (match[3].length > 1) result.negated.push(match[3].slice(1));
+    } else {
+      result.terms.push(match[3]);
+    }
+  }
+  return result;
+}
+
+export function tokenize(text, options = {}) {
+  const language = options.language || 'english';
+  const words = normalize(text, {}).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (language === 'none') return words;
+  return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+function normalize(text, { caseSensitive, diacriticSensitive }) {
+  let result = caseSensitive ? text : text.toLowerCase();
+  if (!diacriticSensitive) {
+    result = result.normalize('NFD').replace(/\p{Diacritic}/gu, '');
+  }
+  return result;
+}
+
+function collectStrings(value, path) {
+  if (typeof value === 'string') return [{ path, value }];
+  if (Array.isArray(value)) return value.flatMap(item => collectStrings(item, path));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.entries(value)
+      .filter(([key]) => key !== '_id')
+      .flatMap(([key, item]) => collectStrings(item, path ? `${path}.${key}` : key));
+  }
+  return [];
+}
+
+function assertLanguage(language) {
+  if (!LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported text search language: ${language}`);
+  }
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+// Porter's stemming algorithm for English.
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+  alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive',
+  biliti: 'ble', logi: 'log'
+};
+const STEP3 = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+
+  // Step 3
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4
+  match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stemmed = match[1];
+    if (MEASURE_GT_1.test(stemmed) || (MEASURE_EQ_1.test(stemmed) && !CVC.test(stemmed))) {
+      w = stemmed;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return firstY ? 'y' + w.slice(1) : w;
+}
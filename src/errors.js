@@ -0,0 +1,55 @@
+export class LockTimeoutError extends Error {
+  constructor(lockPath, timeout) {
+    super(timeout > 0
+      ? `Timed out after ${timeout}ms waiting for lock ${lockPath}`
+      : `Lock ${lockPath} is held by another process`);
+    this.name = 'LockTimeoutError';
+    this.code = 'ELOCKTIMEOUT';
+    this.lockPath = lockPath;
+    this.timeout = timeout;
+  }
+}
+
+export class WriteConflictError extends Error {
+  constructor(collection, id) {
+    super(`Write conflict on document ${id} in collection ${collection}: it was modified outside the transaction`);
+    this.name = 'WriteConflictError';
+    this.code = 112;
+    this.codeName = 'WriteConflict';
+    this.errorLabels = ['TransientTransactionError'];
+  }
+
+  hasErrorLabel(label) {
+    return this.errorLabels.includes(label);
+  }
+}
+
+// Named like the driver's server errors so handlers written for Mongoose
+// (`error.name === 'MongoServerError' && error.code === 11000`) apply as is.
+export class DuplicateKeyError extends Error {
+  constructor(namespace, index, keyValue) {
+    super(`E11000 duplicate key error collection: ${namespace} index: ${index.name} ` +
+      `dup key: ${formatKey(keyValue)}`);
+    this.name = 'MongoServerError';
+    this.code = 11000;
+    this.codeName = 'DuplicateKey';
+    this.index = index.name;
+    this.keyPattern = { ...index.fields };
+    this.keyValue = keyValue;
+  }
+}
+
+export class DocumentNotFoundError extends Error {
+  constructor(filter, modelName) {
+    super(`No document found for query "${JSON.stringify(filter)}" on model "${modelName}"`);
+    this.name = 'DocumentNotFoundError';
+    this.filter = filter;
+    this.query = filter;
+  }
+}
+
+function formatKey(keyValue) {
+  const fields = Object.entries(keyValue)
+    .map(([path, value]) => `${path}: ${value === undefined ? 'null' : JSON.stringify(value)}`);
+  return `{ ${fields.join(', ')} }`;
+}
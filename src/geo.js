@@ -0,0 +1,246 @@
+import { getDistance, isPointInPolygon, earthRadius } from 'geolib';
+
+// Geometry for the geospatial query operators. Stored locations may be GeoJSON
+// objects or legacy coordinate pairs ([lng, lat], or an object whose first two
+// values are lng and lat). GeoJSON shapes and $centerSphere/$nearSphere use
+// distances on the sphere (meters, or radians for legacy pairs); $box,
+// $polygon, $center and legacy $near work on flat coordinates.
+
+export const GEO_OPERATORS = ['$geoWithin', '$within', '$geoIntersects', '$near', '$nearSphere'];
+
+export function geoWithin(value, shape) {
+  const geometry = toGeometry(value);
+  if (!geometry || !shape) return false;
+  const points = geometryPoints(geometry);
+
+  if (shape.$geometry) {
+    const polygons = toPolygons(shape.$geometry);
+    return points.every(point => polygons.some(polygon => inPolygon(point, polygon)));
+  }
+  if (shape.$box) {
+    const [[minX, minY], [maxX, maxY]] = shape.$box;
+    return points.every(([x, y]) => x >= Math.min(minX, maxX) && x <= Math.max(minX, maxX) &&
+      y >= Math.min(minY, maxY) && y <= Math.max(minY, maxY));
+  }
+  if (shape.$polygon) {
+    return points.every(point => inRing(point, shape.$polygon));
+  }
+  if (shape.$center) {
+    const [center, radius] = shape.$center;
+    return points.every(point => Math.hypot(point[0] - center[0], point[1] - center[1]) <= radius);
+  }
+  if (shape.$centerSphere) {
+    const [center, radius] = shape.$centerSphere;
+    return points.every(point => sphericalDistance(point, center) / earthRadius <= radius);
+  }
+  throw new Error(`Unsupported $geoWithin shape: ${Object.keys(shape).join(', ')}`);
+}
+
+export function geoIntersects(value, shape) {
+  const geometry = toGeometry(value);
+  if (!geometry || !shape || !shape.$geometry) return false;
+  const other = toGeometry(shape.$geometry);
+  if (!other) throw new Error('$geoIntersects requires a GeoJSON $geometry');
+  return intersects(geometry, other);
+}
+
+// Parses a $near or $nearSphere condition (the whole `{ $near, $maxDistance }`
+// object of a path) into { point, min, max, unit }, where `unit` says how
+// distances are measured: 'meters', 'radians' or 'flat'.
+export function parseNear(condition) {
+  const operator = '$nearSphere' in condition ? '$nearSphere' : '$near';
+  const spec = condition[operator];
+  const geoJSON = spec && spec.$geometry;
+  const point = toPoint(geoJSON || spec);
+  if (!point) throw new Error(`${operator} requires a point`);
+
+  const options = geoJSON ? spec : condition;
+  let unit = 'flat';
+  if (geoJSON) unit = 'meters';
+  else if (operator === '$nearSphere') unit = 'radians';
+  return {
+    point,
+    min: options.$minDistance !== undefined ? options.$minDistance : 0,
+    max: options.$maxDistance !== undefined ? options.$maxDistance : Infinity,
+    unit
+  };
+}
+
+// Distance from a near query's point to a stored location, in the query's
+// unit, or null when the value holds no point.
+export function nearDistance(value, near) {
+  const point = toPoint(value);
+  if (!point) return null;
+  if (near.unit === 'flat') {
+    return Math.hypot(point[0] - near.point[0], point[1] - near.point[1]);
+  }
+  const meters = sphericalDistance(point, near.point);
+  return near.unit === 'meters' ? meters : meters / earthRadius;
+}
+
+export function matchNear(value, condition) {
+  const near = parseNear(condition);
+  const distance = nearDistance(value, near);
+  return distance !== null && distance >= near.min && distance <= near.max;
+}
+
+// The [minX, minY, maxX, maxY] box a geo condition can match within, or null
+// when it is unbounded. Used to narrow a 2dsphere index scan.
+export function conditionBounds(condition) {
+  const shape = condition.$geoWithin || condition.$within;
+  if (shape) {
+    if (shape.$geometry) return boundsOf(geometryPoints(toGeometry(shape.$geometry)));
+    if (shape.$box) return boundsOf(shape.$box);
+    if (shape.$polygon) return boundsOf(shape.$polygon);
+    if (shape.$center) return around(shape.$center[0], shape.$center[1]);
+    if (shape.$centerSphere) {
+      return sphericalBounds(shape.$centerSphere[0], shape.$centerSphere[1] * earthRadius);
+    }
+    return null;
+  }
+  if (condition.$geoIntersects && condition.$geoIntersects.$geometry) {
+    return boundsOf(geometryPoints(toGeometry(condition.$geoIntersects.$geometry)));
+  }
+  if ('$near' in condition || '$nearSphere' in condition) {
+    const near = parseNear(condition);
+    if (near.max === Infinity) return null;
+    if (near.unit === 'flat') return around(near.point, near.max);
+    return sphericalBounds(near.point, near.unit === 'meters' ? near.max : near.max * earthRadius);
+  }
+  return null;
+}
+
+export function toPoint(value) {
+  const geometry = toGeometry(value);
+  return geometry && geometry.type === 'Point' ? geometry.coordinates : null;
+}
+
+// Normalizes a stored or query value to a GeoJSON-like geometry, or null.
+export function toGeometry(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (Array.isArray(value)) {
+    return isPair(value) ? { type: 'Point', coordinates: [value[0], value[1]] } : null;
+  }
+  if (typeof value.type === 'string' && Array.isArray(value.coordinates)) {
+    return value;
+  }
+  if (value.type === 'GeometryCollection' && Array.isArray(value.geometries)) {
+    return value;
+  }
+  const pair = Object.values(value).slice(0, 2);
+  return isPair(pair) ? { type: 'Point', coordinates: pair } : null;
+}
+
+function isPair(value) {
+  return value.length >= 2 && typeof value[0] === 'number' && typeof value[1] === 'number';
+}
+
+function sphericalDistance([lngA, latA], [lngB, latB]) {
+  return getDistance({ latitude: latA, longitude: lngA }, { latitude: latB, longitude: lngB }, 0.01);
+}
+
+// Every vertex of a geometry, as [lng, lat] pairs.
+function geometryPoints(geometry) {
+  switch (geometry.type) {
+    case 'Point': return [geometry.coordinates];
+    case 'MultiPoint':
+    case 'LineString': return geometry.coordinates;
+    case 'MultiLineString':
+    case 'Polygon': return geometry.coordinates.flat();
+    case 'MultiPolygon': return geometry.coordinates.flat(2);
+    case 'GeometryCollection': return geometry.geometries.flatMap(item => geometryPoints(toGeometry(item)));
+    default: throw new Error(`Unsupported GeoJSON type: ${geometry.type}`);
+  }
+}
+
+// Polygons (arrays of rings, the first being the outer ring) of a query
+// geometry.
+function toPolygons(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  throw new Error(`$geoWithin $geometry must be a Polygon or MultiPolygon, not ${geometry.type}`);
+}
+
+function inPolygon(point, [outer, ...holes]) {
+  return inRing(point, outer) && !holes.some(hole => inRing(point, hole) && !onRing(point, hole));
+}
+
+function inRing(point, ring) {
+  return onRing(point, ring) || isPointInPolygon(
+    { latitude: point[1], longitude: point[0] },
+    ring.map(([lng, lat]) => ({ latitude: lat, longitude: lng }))
+  );
+}
+
+function onRing(point, ring) {
+  return ring.some((start, i) => onSegment(point, start, ring[(i + 1) % ring.length]));
+}
+
+function intersects(a, b) {
+  const parts = geometry => {
+    switch (geometry.type) {
+      case 'MultiPoint': return geometry.coordinates.map(coordinates => ({ type: 'Point', coordinates }));
+      case 'MultiLineString': return geometry.coordinates.map(coordinates => ({ type: 'LineString', coordinates }));
+      case 'MultiPolygon': return geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }));
+      case 'GeometryCollection': return geometry.geometries.flatMap(item => parts(toGeometry(item)));
+      default: return [geometry];
+    }
+  };
+  return parts(a).some(partA => parts(b).some(partB => simpleIntersects(partA, partB)));
+}
+
+// Intersection of two Points, LineStrings or Polygons: a shared point, a
+// vertex of one inside the other, or crossing edges.
+function simpleIntersects(a, b) {
+  const segments = geometry => {
+    const lines = geometry.type === 'Polygon' ? geometry.coordinates
+      : geometry.type === 'LineString' ? [geometry.coordinates] : [];
+    return lines.flatMap(line => line.slice(1).map((point, i) => [line[i], point]));
+  };
+  const contains = (geometry, point) => {
+    if (geometry.type === 'Polygon') return inPolygon(point, geometry.coordinates);
+    if (geometry.type === 'LineString') return segments(geometry).some(([start, end]) => onSegment(point, start, end));
+    return geometry.coordinates[0] === point[0] && geometry.coordinates[1] === point[1];
+  };
+
+  if (geometryPoints(a).some(point => contains(b, point))) return true;
+  if (geometryPoints(b).some(point => contains(a, point))) return true;
+  return segments(a).some(([p1, p2]) => segments(b).some(([q1, q2]) => segmentsCross(p1, p2, q1, q2)));
+}
+
+function orientation(a, b, c) {
+  return Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+}
+
+function onSegment(point, start, end) {
+  return orientation(start, end, point) === 0 &&
+    point[0] >= Math.min(start[0], end[0]) && point[0] <= Math.max(start[0], end[0]) &&
+    point[1] >= Math.min(start[1], end[1]) && point[1] <= Math.max(start[1], end[1]);
+}
+
+function segmentsCross(p1, p2, q1, q2) {
+  return orientation(p1, p2, q1) !== orientation(p1, p2, q2) &&
+    orientation(q1, q2, p1) !== orientation(q1, q2, p2);
+}
+
+function boundsOf(points) {
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function around([x, y], radius) {
+  return [x - radius, y - radius, x + radius, y + radius];
+}
+
+// Box around a point that contains every location within `meters` of it.
+function sphericalBounds([lng, lat], meters) {
+  const latDelta = (meters / earthRadius) * (180 / Math.PI);
+  const minLat = Math.max(-90, lat - latDelta);
+  const maxLat = Math.min(90, lat + latDelta);
+  const widest = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  if (widest >= 89.9) return [-180, minLat, 180, maxLat];
+  const lngDelta = latDelta / Math.cos(widest * Math.PI / 180);
+  if (lngDelta >= 180) return [-180, minLat, 180, maxLat];
+  return [lng - lngDelta, minLat, lng + lngDelta, maxLat];
+}
@@ -1,14 +1,33 @@
 // Import necessary modules
 import { Schema } from './Schema.js';
 import { Connection } from './Connection.js';
+import { StorageAdapter } from './StorageAdapter.js';
+import { FileAdapter } from './FileAdapter.js';
+import { MemoryAdapter } from './MemoryAdapter.js';
+import { JournalAdapter } from './JournalAdapter.js';
+import { ClientSession } from './ClientSession.js';
+import { ChangeStream } from './ChangeStream.js';
+import { QueryCursor } from './QueryCursor.js';
+import { LockTimeoutError, WriteConflictError, DuplicateKeyError, DocumentNotFoundError } from './errors.js';
 
 // Define the localgoose object
 const localgoose = {
   Schema,
   Connection,
-  createConnection: (dbPath) => new Connection(dbPath),
-  connect: async (dbPath) => {
-    const connection = new Connection(dbPath);
+  StorageAdapter,
+  FileAdapter,
+  MemoryAdapter,
+  JournalAdapter,
+  ClientSession,
+  ChangeStream,
+  QueryCursor,
+  LockTimeoutError,
+  WriteConflictError,
+  DuplicateKeyError,
+  DocumentNotFoundError,
+  createConnection: (dbPath, options) => new Connection(dbPath, options),
+  connect: async (dbPath, options) => {
+    const connection = new Connection(dbPath, options);
     return connection.connect();
   }
 };
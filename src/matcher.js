@@ -0,0 +1,439 @@
+import { ObjectId, Binary } from 'bson';
+import { geoWithin, geoIntersects, matchNear } from './geo.js';
+
+// Whether `doc` matches `query`. With a `collator` (see toCollator()),
+// strings are compared under its collation.
+export function matchQuery(doc, query, collator = null) {
+  return Object.entries(query).every(([key, condition]) => {
+    switch (key) {
+      case '$and': return clauses(key, condition).every(clause => matchQuery(doc, clause, collator));
+      case '$or': return clauses(key, condition).some(clause => matchQuery(doc, clause, collator));
+      case '$nor': return !clauses(key, condition).some(clause => matchQuery(doc, clause, collator));
+      case '$comment': return true;
+      default:
+        if (key.startsWith('$')) throw new Error(`unknown top level operator: ${key}`);
+        return matchCondition(pathValues(doc, key), condition, collator);
+    }
+  });
+}
+
+function clauses(operator, value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`${operator} argument must be a non-empty array`);
+  }
+  return value;
+}
+
+// Whether the values found at a path satisfy a condition, which is either a
+// value to compare with or an object of operators. As in MongoDB, an array
+// satisfies an operator when the array itself or any of its elements does.
+function matchCondition(values, condition, collator) {
+  if (!isOperatorObject(condition)) {
+    return values.some(value => matchesValue(value, condition, collator));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return values.some(value => equals(value, operand, collator));
+      case '$gt': return values.some(value => compares(value, operand, result => result > 0, collator));
+      case '$gte': return values.some(value => compares(value, operand, result => result >= 0, collator));
+      case '$lt': return values.some(value => compares(value, operand, result => result < 0, collator));
+      case '$lte': return values.some(value => compares(value, operand, result => result <= 0, collator));
+      case '$ne': return !values.some(value => equals(value, operand, collator));
+      case '$in':
+        return list(operator, operand).some(item => values.some(value => matchesValue(value, item, collator)));
+      case '$nin':
+        return !list(operator, operand).some(item => values.some(value => matchesValue(value, item, collator)));
+      case '$regex':
+        return matchRegex(values, new RegExp(operand, condition.$options));
+      case '$options':
+        if (!('$regex' in condition)) throw new Error('$options needs a $regex');
+        return true;
+      case '$not':
+        if (operand instanceof RegExp) return !matchRegex(values, operand);
+        if (!isOperatorObject(operand)) throw new Error('$not needs a regex or a document of operators');
+        return !matchCondition(values, operand, collator);
+      case '$exists':
+        return operand
+          ? values.some(value => value !== undefined)
+          : values.every(value => value === undefined);
+      case '$all':
+        // An empty $all matches nothing, as in MongoDB.
+        return list(operator, operand).length > 0 && operand.every(item => (isOperatorObject(item)
+          ? matchCondition(values, item, collator)
+          : values.some(value => matchesValue(value, item, collator))));
+      case '$elemMatch':
+        return values.some(value => Array.isArray(value) && value.some(element => matchElement(element, operand, collator)));
+      case '$size':
+        return values.some(value => Array.isArray(value) && value.length === operand);
+      case '$mod': {
+        const [divisor, remainder] = list(operator, operand);
+        if (operand.length !== 2) throw new Error('malformed mod, needs to be an array of divisor and remainder');
+        if (Number(divisor) === 0) throw new Error('divisor cannot be 0');
+        return values.some(value => candidates(value).some(item => typeRank(item) === 2 &&
+          Math.trunc(numericValue(item)) % Math.trunc(Number(divisor)) === Math.trunc(Number(remainder))));
+      }
+      case '$type': {
+        const types = (Array.isArray(operand) ? operand : [operand]).map(typeName);
+        return values.some(value => candidates(value).some(item => item !== undefined &&
+          types.some(type => type === bsonType(item) || (type === 'number' && typeRank(item) === 2))));
+      }
+      case '$geoWithin':
+      case '$within':
+        return values.some(value => geoWithin(value, operand));
+      case '$geoIntersects':
+        return values.some(value => geoIntersects(value, operand));
+      case '$near':
+      case '$nearSphere':
+        return values.some(value => matchNear(value, condition));
+      case '$maxDistance':
+      case '$minDistance':
+        // Options of a legacy $near, checked there.
+        return true;
+      default:
+        throw new Error(`unknown operator: ${operator}`);
+    }
+  });
+}
+
+const FIELD_OPERATORS = [
+  '$eq', '$gt', '$gte', '$lt', '$lte', '$ne', '$in', '$nin', '$regex', '$options', '$not', '$exists',
+  '$all', '$elemMatch', '$size', '$mod', '$type', '$geoWithin', '$within', '$geoIntersects', '$near',
+  '$nearSphere', '$maxDistance', '$minDistance'
+];
+
+// Throws for the operators matchQuery would reject, without needing a
+// document that reaches them. For queries kept and run later, such as a
+// change stream's $match stages.
+export function validateQuery(query) {
+  for (const [key, condition] of Object.entries(query)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      clauses(key, condition).forEach(validateQuery);
+    } else if (key.startsWith('$') && key !== '$comment') {
+      throw new Error(`unknown top level operator: ${key}`);
+    } else if (!key.startsWith('$') && isOperatorObject(condition)) {
+      validateCondition(condition);
+    }
+  }
+}
+
+function validateCondition(condition) {
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (!FIELD_OPERATORS.includes(operator)) throw new Error(`unknown operator: ${operator}`);
+    if (operator === '$not' && isOperatorObject(operand)) validateCondition(operand);
+    if (operator === '$elemMatch' && operand && typeof operand === 'object') {
+      if (Object.keys(operand).every(key => key.startsWith('$') && !LOGICAL_OPERATORS.includes(key))) {
+        validateCondition(operand);
+      } else {
+        validateQuery(operand);
+      }
+    }
+  }
+}
+
+function list(operator, value) {
+  if (!Array.isArray(value)) throw new Error(`${operator} needs an array`);
+  return value;
+}
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+// $elemMatch criteria are either operators applied to each element, or a
+// query that an element (a subdocument) has to match as a whole.
+function matchElement(element, criteria, collator) {
+  if (Object.keys(criteria).every(key => key.startsWith('$') && !LOGICAL_OPERATORS.includes(key))) {
+    return matchCondition([element], criteria, collator);
+  }
+  return Boolean(element) && typeof element === 'object' && !Array.isArray(element) &&
+    matchQuery(element, criteria, collator);
+}
+
+// Equality, or for a regular expression a string it matches.
+function matchesValue(value, operand, collator) {
+  if (operand instanceof RegExp && matchRegex([value], operand)) return true;
+  return equals(value, operand, collator);
+}
+
+function matchRegex(values, regex) {
+  return values.some(value => candidates(value).some(item => typeof item === 'string' && regex.test(item)));
+}
+
+// Equality as MongoDB applies it: null also matches a missing value, and
+// values of different BSON types are never equal.
+function equals(value, operand, collator) {
+  if (operand === null || operand === undefined) {
+    return candidates(value).some(item => item === null || item === undefined);
+  }
+  return candidates(value).some(item => item !== undefined && compareValues(item, operand, collator) === 0);
+}
+
+// Range operators only compare values of the same type, so { $gt: 5 } never
+// matches a string.
+function compares(value, operand, test, collator) {
+  return candidates(value).some(item => typeRank(item) === typeRank(operand) &&
+    test(compareValues(item, operand, collator)));
+}
+
+function candidates(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+// Every value a dotted path reaches in a document. Steps through arrays of
+// subdocuments fan out over their elements, and a numeric step may also
+// address an array position ('items.0.sku'). A path that leads nowhere yields
+// [undefined].
+export function pathValues(doc, path) {
+  const values = collectPath(doc, path.split('.'));
+  return values.length > 0 ? values : [undefined];
+}
+
+function collectPath(value, steps) {
+  if (steps.length === 0) return [value];
+  if (value === null || value === undefined || typeof value !== 'object') return [undefined];
+
+  const [step, ...rest] = steps;
+  if (!Array.isArray(value)) return collectPath(value[step], rest);
+
+  const values = /^\d+$/.test(step) && value[step] !== undefined ? collectPath(value[step], rest) : [];
+  value.forEach(element => {
+    if (element && typeof element === 'object' && !Array.isArray(element)) {
+      values.push(...collectPath(element, steps));
+    }
+  });
+  return values;
+}
+
+// Values of a path as they are indexed and sorted on: arrays contribute their
+// elements, and a missing value counts as null.
+export function keyValues(doc, path) {
+  const keys = [];
+  for (const value of pathValues(doc, path)) {
+    const items = Array.isArray(value) ? value : [value === undefined ? null : value];
+    for (const item of items) {
+      if (!keys.some(key => compareValues(key, item) === 0)) keys.push(item);
+    }
+  }
+  return keys.length > 0 ? keys : [undefined];
+}
+
+// An object whose keys are query operators, as opposed to a value (including
+// a subdocument) to compare with.
+export function isOperatorObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).some(key => key.startsWith('$'));
+}
+
+// Whether an array element satisfies conditions written against the array
+// at `path` ({ [path]: ..., [`${path}.field`]: ... }, or those as [key,
+// condition] pairs), the way the positional operators read a query filter or
+// an arrayFilters entry.
+export function matchArrayElement(element, path, conditions) {
+  const entries = Array.isArray(conditions) ? conditions : Object.entries(conditions);
+  return entries.every(([key, condition]) => (key === path
+    ? matchQuery({ element: [element] }, { element: condition })
+    : matchQuery(element, { [key.slice(path.length + 1)]: condition })));
+}
+
+// The query conditions that constrain the array at `path`, as [key,
+// condition] pairs. Conditions inside $and clauses count too, so the same
+// key may appear more than once.
+export function arrayConditions(conditions, path) {
+  return Object.entries(conditions).flatMap(([key, condition]) => {
+    if (key === '$and' && Array.isArray(condition)) {
+      return condition.flatMap(clause => arrayConditions(clause, path));
+    }
+    return key === path || key.startsWith(`${path}.`) ? [[key, condition]] : [];
+  });
+}
+
+// Value of a dotted path, or undefined when any step is missing.
+export function getPath(doc, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    doc
+  );
+}
+
+// Total order over stored values following BSON's comparison order, so that
+// values of different types sort into stable groups instead of comparing
+// through JavaScript coercion. Strings, including those nested in objects and
+// arrays, are compared with `collator` when one is given.
+export function compareValues(a, b, collator = null) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+      return compareScalars(numericValue(a), numericValue(b));
+    case 3:
+      return collator ? Math.sign(collator.compare(a, b)) : compareScalars(a, b);
+    case 7:
+      return compareScalars(String(a), String(b));
+    case 4: {
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const result = compareScalars(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]], collator);
+        if (result !== 0) return result;
+      }
+      return compareScalars(keysA.length, keysB.length);
+    }
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i], collator);
+        if (result !== 0) return result;
+      }
+      return compareScalars(a.length, b.length);
+    }
+    case 6: {
+      // Shorter data sorts first, then by subtype, then byte by byte.
+      const [typeA, bytesA] = binaryParts(a);
+      const [typeB, bytesB] = binaryParts(b);
+      return compareScalars(bytesA.length, bytesB.length) || compareScalars(typeA, typeB) ||
+        Math.sign(Buffer.compare(bytesA, bytesB));
+    }
+    case 8:
+    case 9:
+      return compareScalars(Number(a), Number(b));
+    default:
+      return compareScalars(String(a), String(b));
+  }
+}
+
+// Sorts in place by `sort` ({ path: 1 | -1 }). A `{ $meta: 'textScore' }`
+// order sorts by `textScore(doc)`, highest first.
+export function sortDocuments(docs, sort, textScore = () => undefined, collator = null) {
+  const fields = Object.entries(sort).map(([field, order]) => (isTextScore(order)
+    ? [textScore, -1]
+    : [doc => sortValue(doc, field, order, collator), order]));
+  return docs.sort((a, b) => {
+    for (const [value, order] of fields) {
+      const result = compareValues(value(a), value(b), collator);
+      if (result !== 0) return order < 0 ? -result : result;
+    }
+    return 0;
+  });
+}
+
+// An array sorts by its smallest element in ascending order and by its
+// largest in descending order.
+function sortValue(doc, path, order, collator) {
+  return keyValues(doc, path).reduce((best, value) => {
+    const result = compareValues(value, best, collator);
+    return (order < 0 ? result > 0 : result < 0) ? value : best;
+  });
+}
+
+const collators = new Map();
+
+// An Intl.Collator for MongoDB collation options ({ locale, strength,
+// caseLevel, caseFirst, numericOrdering }), or null for no collation or the
+// 'simple' one, under which strings compare by code unit. Strength 1 ignores
+// case and accents, 2 ignores case, and 3 (the default) and above ignore
+// neither; `caseLevel` makes strengths 1 and 2 tell cases apart.
+export function toCollator(collation) {
+  if (!collation) return null;
+  const { locale, strength = 3, caseLevel = false, caseFirst = 'off', numericOrdering = false } = collation;
+  if (typeof locale !== 'string') throw new Error('Missing expected field "locale"');
+  if (!Number.isInteger(strength) || strength < 1 || strength > 5) {
+    throw new Error('collation strength must be an integer 1 through 5');
+  }
+  if (!['upper', 'lower', 'off'].includes(caseFirst)) {
+    throw new Error(`collation caseFirst must be 'upper', 'lower' or 'off'`);
+  }
+  if (locale === 'simple') return null;
+
+  const key = JSON.stringify([locale, strength, caseLevel, caseFirst, numericOrdering]);
+  if (!collators.has(key)) {
+    let sensitivity = 'variant';
+    if (strength === 1) sensitivity = caseLevel ? 'case' : 'base';
+    else if (strength === 2 && !caseLevel) sensitivity = 'accent';
+    collators.set(key, new Intl.Collator(locale, {
+      sensitivity,
+      caseFirst: caseFirst === 'off' ? 'false' : caseFirst,
+      numeric: Boolean(numericOrdering)
+    }));
+  }
+  return collators.get(key);
+}
+
+export function isTextScore(value) {
+  return Boolean(value) && typeof value === 'object' && value.$meta === 'textScore';
+}
+
+const TYPE_ALIASES = {
+  1: 'double', 2: 'string', 3: 'object', 4: 'array', 5: 'binData', 7: 'objectId', 8: 'bool',
+  9: 'date', 10: 'null', 11: 'regex', 16: 'int', 18: 'long', 19: 'decimal'
+};
+
+function typeName(type) {
+  if (type === 'number' || Object.values(TYPE_ALIASES).includes(type)) return type;
+  if (TYPE_ALIASES[type]) return TYPE_ALIASES[type];
+  throw new Error(`unknown type name alias for $type: ${type}`);
+}
+
+// The $type alias of a stored value. Plain numbers are ints when they would
+// be stored as 32-bit integers and doubles otherwise.
+function bsonType(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31 ? 'int' : 'double';
+  }
+  if (typeof value === 'bigint') return 'long';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'bool';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof ObjectId) return 'objectId';
+  if (value instanceof Binary || value instanceof Uint8Array) return 'binData';
+  switch (value._bsontype) {
+    case 'Long': return 'long';
+    case 'Decimal128': return 'decimal';
+    case 'Double': return 'double';
+    case 'Int32': return 'int';
+    default: return 'object';
+  }
+}
+
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number' || typeof value === 'bigint') return 2;
+  if (typeof value === 'string') return 3;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 10;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (value instanceof Binary || value instanceof Uint8Array) return 6;
+  if (value._bsontype === 'Long' || value._bsontype === 'Decimal128' ||
+      value._bsontype === 'Double' || value._bsontype === 'Int32') {
+    return 2;
+  }
+  return 4;
+}
+
+// Binary data as [subtype, bytes]. Buffers and other Uint8Arrays are generic
+// (subtype 0) binary data.
+function binaryParts(value) {
+  return value instanceof Binary
+    ? [value.sub_type, value.buffer.subarray(0, value.position)]
+    : [0, value];
+}
+
+// Numbers, bigints and the BSON numeric types as plain numbers. Decimal128
+// and Long are read from their decimal string, which holds their full value.
+function numericValue(value) {
+  if (typeof value === 'number' || typeof value === 'bigint') return Number(value);
+  if (value._bsontype === 'Decimal128' || value._bsontype === 'Long') return Number(value.toString());
+  return Number(value.valueOf());
+}
+
+function compareScalars(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
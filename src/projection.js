@@ -0,0 +1,220 @@
+import { matchQuery, matchArrayElement, arrayConditions, getPath, isTextScore } from './matcher.js';
+
+// Projections as MongoDB applies them. A projection either includes paths
+// (1/true, `$elemMatch`, or a positional `'array.$'`) or excludes them (0/false);
+// `$slice` and `{ $meta: 'textScore' }` fit either, and `_id` is returned
+// unless excluded.
+
+// Fields given as a string ('name -password +secret') or an object, as an
+// object.
+export function toFields(fields) {
+  if (typeof fields !== 'string') return { ...fields };
+  const result = {};
+  fields.split(/\s+/).filter(Boolean).forEach(field => {
+    result[field.replace(/^-/, '')] = field.startsWith('-') ? 0 : 1;
+  });
+  return result;
+}
+
+// Turns a query's fields into the projection to apply, { inclusive, fields },
+// or null when whole documents are returned. Schema paths declared with
+// `select: false` are left out unless named with a leading '+' ('+password').
+export function resolveProjection(fields, schema) {
+  const projection = {};
+  const forced = new Set();
+  for (const [path, value] of Object.entries(fields || {})) {
+    if (path.startsWith('+')) {
+      forced.add(path.slice(1));
+    } else {
+      projection[path] = value;
+    }
+  }
+
+  const inclusive = Object.entries(projection).some(([path, value]) => path !== '_id' && isInclusion(path, value));
+  const exclusive = Object.entries(projection).some(([path, value]) => path !== '_id' && isExclusion(value));
+  if (inclusive && exclusive) {
+    throw new Error('Projection cannot have a mix of inclusion and exclusion.');
+  }
+
+  if (inclusive) {
+    forced.forEach(path => { projection[path] = 1; });
+  } else if (schema) {
+    schema._paths.forEach((schemaType, path) => {
+      if (schemaType.selected === false && !forced.has(path) && !(path in projection)) {
+        projection[path] = 0;
+      }
+    });
+  }
+  return Object.keys(projection).length > 0 ? { inclusive, fields: projection } : null;
+}
+
+// A projected copy of `doc`. `conditions` are the query's, which the
+// positional projection uses to find the element to return.
+export function applyProjection(doc, { inclusive, fields }, conditions = {}) {
+  const tree = {};
+  const arrays = [];
+  for (const [key, value] of Object.entries(fields)) {
+    const path = key.endsWith('.$') ? key.slice(0, -2) : key;
+    if (path !== key || isArrayProjection(value)) {
+      arrays.push([path, path !== key ? null : value]);
+      if (inclusive) addPath(tree, path);
+    } else if (inclusive ? isInclusion(key, value) || isTextScore(value) : isExclusion(value)) {
+      addPath(tree, path);
+    }
+  }
+  if (inclusive && !('_id' in fields)) addPath(tree, '_id');
+
+  const result = inclusive ? include(doc, tree) : exclude(doc, tree);
+  for (const [path, value] of arrays) {
+    if (!value) {
+      const element = positionalElement(doc, path, conditions);
+      setArray(result, path.split('.'), array => (element === undefined ? array : [element]));
+    } else if ('$elemMatch' in value) {
+      const array = getPath(doc, path);
+      const element = Array.isArray(array)
+        ? array.find(item => matchQuery({ item: [item] }, { item: { $elemMatch: value.$elemMatch } }))
+        : undefined;
+      if (element === undefined) {
+        delete result[path];
+      } else {
+        result[path] = [element];
+      }
+    } else {
+      setArray(result, path.split('.'), array => slice(array, value.$slice));
+    }
+  }
+  return result;
+}
+
+// Whether a projection returns `path`, entirely or in part.
+export function isSelected(projection, path) {
+  if (!projection) return true;
+  const paths = Object.entries(projection.fields)
+    .map(([key, value]) => [key.endsWith('.$') ? key.slice(0, -2) : key, value]);
+  if (projection.inclusive) {
+    if (path === '_id') return projection.fields._id === undefined || !isExclusion(projection.fields._id);
+    return paths.some(([key, value]) => !isExclusion(value) &&
+      (key === path || key.startsWith(`${path}.`) || path.startsWith(`${key}.`)));
+  }
+  return !paths.some(([key, value]) => isExclusion(value) && (key === path || path.startsWith(`${key}.`)));
+}
+
+// Whether a projection names `path` itself (rather than a parent or child).
+export function isDirectSelected(projection, path) {
+  if (!projection) return true;
+  const value = path in projection.fields ? projection.fields[path] : projection.fields[`${path}.$`];
+  if (projection.inclusive) {
+    return value !== undefined ? !isExclusion(value) : path === '_id';
+  }
+  return value === undefined || !isExclusion(value);
+}
+
+function isInclusion(path, value) {
+  return path.endsWith('.$') || value === true || (typeof value === 'number' && value !== 0) ||
+    (Boolean(value) && typeof value === 'object' && '$elemMatch' in value);
+}
+
+function isExclusion(value) {
+  return value === false || value === 0;
+}
+
+function isArrayProjection(value) {
+  return Boolean(value) && typeof value === 'object' && ('$slice' in value || '$elemMatch' in value);
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Paths as a tree of steps, { address: { city: true } }. A path that is
+// already covered by a shorter one adds nothing.
+function addPath(tree, path) {
+  const steps = path.split('.');
+  let node = tree;
+  for (const step of steps.slice(0, -1)) {
+    if (node[step] === true) return;
+    if (!node[step]) node[step] = {};
+    node = node[step];
+  }
+  node[steps[steps.length - 1]] = true;
+}
+
+function include(value, tree) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(item => Array.isArray(item) || isPlainObject(item))
+      .map(item => include(item, tree));
+  }
+  if (!isPlainObject(value)) return undefined;
+
+  const result = {};
+  for (const [key, node] of Object.entries(tree)) {
+    if (!(key in value)) continue;
+    if (node === true) {
+      result[key] = value[key];
+    } else {
+      const projected = include(value[key], node);
+      if (projected !== undefined) result[key] = projected;
+    }
+  }
+  return result;
+}
+
+function exclude(value, tree) {
+  if (Array.isArray(value)) return value.map(item => exclude(item, tree));
+  if (!isPlainObject(value)) return value;
+
+  const result = { ...value };
+  for (const [key, node] of Object.entries(tree)) {
+    if (!(key in result)) continue;
+    if (node === true) {
+      delete result[key];
+    } else {
+      result[key] = exclude(result[key], node);
+    }
+  }
+  return result;
+}
+
+// Replaces the arrays found at `steps` (descending through subdocuments and
+// arrays of them) with `update(array)`.
+function setArray(value, steps, update) {
+  if (Array.isArray(value)) {
+    value.forEach(item => setArray(item, steps, update));
+    return;
+  }
+  if (!isPlainObject(value) || !(steps[0] in value)) return;
+  if (steps.length === 1) {
+    if (Array.isArray(value[steps[0]])) value[steps[0]] = update(value[steps[0]]);
+    return;
+  }
+  setArray(value[steps[0]], steps.slice(1), update);
+}
+
+// $slice: n keeps the first n elements (the last n when negative), and
+// [skip, n] skips elements first (counting from the end when negative).
+function slice(array, spec) {
+  if (Array.isArray(spec)) {
+    const [skip, limit] = spec;
+    if (!(limit > 0)) throw new Error('$slice limit must be positive');
+    const start = skip < 0 ? Math.max(array.length + skip, 0) : skip;
+    return array.slice(start, start + limit);
+  }
+  if (typeof spec !== 'number') throw new Error('$slice only supports numbers and [skip, limit] arrays');
+  return spec < 0 ? array.slice(spec) : array.slice(0, spec);
+}
+
+// The first element of the array at `path` matching the query's conditions
+// on that array, for the positional ('array.$') projection.
+function positionalElement(doc, path, conditions) {
+  const array = getPath(doc, path);
+  if (!Array.isArray(array)) return undefined;
+
+  const relevant = arrayConditions(conditions, path);
+  if (relevant.length === 0) {
+    throw new Error(`positional operator '${path}.$' requires a query condition on '${path}'`);
+  }
+  return array.find(item => matchArrayElement(item, path, relevant));
+}
@@ -0,0 +1,347 @@
+import cloneDeep from 'lodash/cloneDeep.js';
+import {
+  getPath, compareValues, matchQuery, matchArrayElement, arrayConditions, isOperatorObject, sortDocuments
+} from './matcher.js';
+
+// MongoDB update documents. Every operator takes { path: argument } pairs,
+// where paths use dot notation and may address array positions ('items.0')
+// or use positional steps.
+
+const UPDATE_OPERATORS = [
+  '$set', '$unset', '$setOnInsert', '$inc', '$mul', '$min', '$max', '$rename', '$currentDate',
+  '$push', '$addToSet', '$pop', '$pull', '$pullAll'
+];
+
+// Returns a copy of `doc` with `update` applied. An update without operators
+// sets its fields, the way Model.updateOne always has. `insert` says the
+// document is being created by an upsert, the only time $setOnInsert applies.
+// `conditions` (the query filter) and `arrayFilters` resolve the positional
+// steps of paths ('items.$.qty', 'items.$[].qty', 'items.$[line].qty').
+export function applyUpdate(doc, update, options = {}) {
+  const { insert = false, now = new Date(), conditions = {}, arrayFilters = [] } = options;
+  const operations = toOperations(update);
+  const filters = toArrayFilters(arrayFilters, operations);
+  const result = cloneDeep(doc);
+
+  for (const [operator, fields] of Object.entries(operations)) {
+    for (const [path, argument] of Object.entries(fields)) {
+      for (const target of resolvePaths(result, path, { original: doc, conditions, filters })) {
+        applyOperator(result, operator, target, argument, { insert, now });
+      }
+    }
+  }
+
+  if (!insert && String(result._id) !== String(doc._id)) {
+    throw new Error("Performing an update on the path '_id' would modify the immutable field '_id'");
+  }
+  return result;
+}
+
+// The document an upsert starts from: the equality conditions of the query
+// (including those inside $and), which the update is then applied to.
+export function upsertDocument(conditions) {
+  const doc = {};
+  for (const [key, condition] of Object.entries(conditions)) {
+    if (key === '$and') {
+      condition.forEach(clause => Object.entries(upsertDocument(clause))
+        .forEach(([path, value]) => setPath(doc, path, value)));
+    } else if (key.startsWith('$') || condition instanceof RegExp) {
+      continue;
+    } else if (!isOperatorObject(condition)) {
+      setPath(doc, key, cloneDeep(condition));
+    } else if ('$eq' in condition) {
+      setPath(doc, key, cloneDeep(condition.$eq));
+    }
+  }
+  return doc;
+}
+
+function toOperations(update) {
+  const keys = Object.keys(update);
+  const operators = keys.filter(key => key.startsWith('$'));
+  if (operators.length === 0) return keys.length > 0 ? { $set: update } : {};
+  if (operators.length !== keys.length) {
+    throw new Error('An update document cannot mix update operators and fields');
+  }
+
+  const paths = [];
+  for (const operator of operators) {
+    if (!UPDATE_OPERATORS.includes(operator)) throw new Error(`Unknown modifier: ${operator}`);
+    if (!update[operator] || typeof update[operator] !== 'object') {
+      throw new Error(`Modifiers operate on fields but we found ${JSON.stringify(update[operator])} instead`);
+    }
+    for (const [path, argument] of Object.entries(update[operator])) {
+      paths.push(path);
+      if (operator === '$rename') paths.push(argument);
+    }
+  }
+
+  // Two operations on the same path, or on a path and its parent, conflict.
+  paths.forEach((path, i) => paths.slice(i + 1).forEach(other => {
+    if (path === other || other.startsWith(`${path}.`) || path.startsWith(`${other}.`)) {
+      throw new Error(`Updating the path '${other}' would create a conflict at '${path}'`);
+    }
+  }));
+  return update;
+}
+
+// arrayFilters entries by the identifier they filter on. Each entry's keys
+// start with one identifier ('line' or 'line.qty'), and every entry has to be
+// used by some path of the update.
+function toArrayFilters(arrayFilters, operations) {
+  const filters = new Map();
+  for (const filter of arrayFilters) {
+    const identifiers = new Set(Object.keys(filter).map(key => key.split('.')[0]));
+    if (identifiers.size !== 1) {
+      throw new Error(`Each array filter must use a single top-level field name, found ${JSON.stringify(filter)}`);
+    }
+    const [identifier] = identifiers;
+    if (filters.has(identifier)) {
+      throw new Error(`Found multiple array filters with the same top-level field name ${identifier}`);
+    }
+    filters.set(identifier, filter);
+  }
+
+  const used = new Set(Object.values(operations)
+    .flatMap(fields => Object.keys(fields))
+    .flatMap(path => [...path.matchAll(/\$\[(\w+)\]/g)].map(match => match[1])));
+  filters.forEach((filter, identifier) => {
+    if (!used.has(identifier)) {
+      throw new Error(`The array filter for identifier '${identifier}' was not used in the update`);
+    }
+  });
+  return filters;
+}
+
+// The concrete paths an update path stands for in `doc`, with its positional
+// steps replaced by array positions: '$' by the element the query matched,
+// '$[]' by every element and '$[identifier]' by the elements matching that
+// array filter.
+function resolvePaths(doc, path, context) {
+  if (!path.includes('$')) return [path];
+
+  let paths = [[]];
+  for (const step of path.split('.')) {
+    if (!step.startsWith('$')) {
+      paths = paths.map(steps => [...steps, step]);
+      continue;
+    }
+    paths = paths.flatMap(steps => {
+      const arrayPath = steps.join('.');
+      const array = getPath(doc, arrayPath);
+      if (array === undefined) {
+        throw new Error(`The path '${arrayPath}' must exist in the document in order to apply array updates.`);
+      }
+      if (!Array.isArray(array)) {
+        throw new Error(`Cannot apply array updates to non-array element ${arrayPath}: ${JSON.stringify(array)}`);
+      }
+      return positions(array, arrayPath, step, path, context).map(position => [...steps, String(position)]);
+    });
+  }
+  return paths.map(steps => steps.join('.'));
+}
+
+function positions(array, arrayPath, step, path, { original, conditions, filters }) {
+  if (step === '$') {
+    const relevant = arrayConditions(conditions, arrayPath);
+    const matched = getPath(original, arrayPath);
+    const position = relevant.length > 0 && Array.isArray(matched)
+      ? matched.findIndex(element => matchArrayElement(element, arrayPath, relevant))
+      : -1;
+    if (position === -1) throw new Error('The positional operator did not find the match needed from the query.');
+    return [position];
+  }
+  if (step === '$[]') {
+    return array.map((element, i) => i);
+  }
+
+  const identifier = /^\$\[(\w+)\]$/.exec(step);
+  if (!identifier) throw new Error(`Invalid positional step '${step}' in path '${path}'`);
+  const filter = filters.get(identifier[1]);
+  if (!filter) throw new Error(`No array filter found for identifier '${identifier[1]}' in path '${path}'`);
+  return array.flatMap((element, i) => (matchArrayElement(element, identifier[1], filter) ? [i] : []));
+}
+
+function applyOperator(doc, operator, path, argument, { insert, now }) {
+  const current = getPath(doc, path);
+  switch (operator) {
+    case '$set':
+      setPath(doc, path, cloneDeep(argument));
+      break;
+    case '$setOnInsert':
+      if (insert) setPath(doc, path, cloneDeep(argument));
+      break;
+    case '$unset':
+      unsetPath(doc, path);
+      break;
+    case '$inc':
+    case '$mul': {
+      if (typeof argument !== 'number') {
+        throw new Error(`Cannot ${operator === '$inc' ? 'increment' : 'multiply'} with non-numeric argument: ` +
+          `{ ${path}: ${JSON.stringify(argument)} }`);
+      }
+      if (current !== undefined && typeof current !== 'number') {
+        throw new Error(`Cannot apply ${operator} to a value of non-numeric type at '${path}'`);
+      }
+      setPath(doc, path, operator === '$inc' ? (current || 0) + argument : (current || 0) * argument);
+      break;
+    }
+    case '$min':
+    case '$max': {
+      const result = compareValues(argument, current);
+      if (current === undefined || (operator === '$min' ? result < 0 : result > 0)) {
+        setPath(doc, path, cloneDeep(argument));
+      }
+      break;
+    }
+    case '$rename':
+      if (typeof argument !== 'string') throw new Error(`The 'to' field for $rename must be a string: ${path}`);
+      if (current !== undefined) {
+        unsetPath(doc, path);
+        setPath(doc, argument, current);
+      }
+      break;
+    case '$currentDate':
+      if (argument !== true && !(argument && ['date', 'timestamp'].includes(argument.$type))) {
+        throw new Error(`$currentDate expects true or { $type: 'date' | 'timestamp' } for '${path}'`);
+      }
+      setPath(doc, path, new Date(now));
+      break;
+    case '$push':
+      push(arrayAt(doc, path, operator, true), argument);
+      break;
+    case '$addToSet': {
+      const array = arrayAt(doc, path, operator, true);
+      const items = isModifier(argument) ? each(argument, operator) : [argument];
+      items.forEach(item => {
+        if (!array.some(element => compareValues(element, item) === 0)) array.push(cloneDeep(item));
+      });
+      break;
+    }
+    case '$pop': {
+      if (argument !== 1 && argument !== -1) throw new Error(`$pop expects 1 or -1, found: ${JSON.stringify(argument)}`);
+      const array = arrayAt(doc, path, operator, false);
+      if (array && argument === 1) array.pop();
+      if (array && argument === -1) array.shift();
+      break;
+    }
+    case '$pull': {
+      const array = arrayAt(doc, path, operator, false);
+      if (array) setPath(doc, path, array.filter(element => !pullMatches(element, argument)));
+      break;
+    }
+    case '$pullAll': {
+      if (!Array.isArray(argument)) throw new Error(`$pullAll requires an array argument but was given ${JSON.stringify(argument)}`);
+      const array = arrayAt(doc, path, operator, false);
+      if (array) {
+        setPath(doc, path, array.filter(element => !argument.some(item => compareValues(element, item) === 0)));
+      }
+      break;
+    }
+  }
+}
+
+// Sets a path, creating missing subdocuments on the way. Numeric steps
+// into an array address its elements, padding it with nulls when needed.
+function setPath(doc, path, value) {
+  const steps = path.split('.');
+  let target = doc;
+  steps.forEach((step, i) => {
+    if (Array.isArray(target) && !/^\d+$/.test(step)) {
+      throw new Error(`Cannot create field '${step}' in element {${steps[i - 1]}: ${JSON.stringify(target)}}`);
+    }
+    if (Array.isArray(target)) {
+      while (target.length < Number(step)) target.push(null);
+    }
+    if (i === steps.length - 1) {
+      target[step] = value;
+      return;
+    }
+    if (target[step] === undefined) {
+      target[step] = {};
+    } else if (target[step] === null || typeof target[step] !== 'object') {
+      throw new Error(`Cannot create field '${steps[i + 1]}' in element {${step}: ${JSON.stringify(target[step])}}`);
+    }
+    target = target[step];
+  });
+}
+
+// Removes a path; an array element is set to null rather than removed, so
+// the positions of the others don't shift.
+function unsetPath(doc, path) {
+  const steps = path.split('.');
+  const last = steps.pop();
+  const parent = steps.length > 0 ? getPath(doc, steps.join('.')) : doc;
+  if (!parent || typeof parent !== 'object' || !(last in parent)) return;
+  if (Array.isArray(parent)) {
+    parent[last] = null;
+  } else {
+    delete parent[last];
+  }
+}
+
+function arrayAt(doc, path, operator, create) {
+  const value = getPath(doc, path);
+  if (value === undefined && create) {
+    setPath(doc, path, []);
+    return getPath(doc, path);
+  }
+  if (value !== undefined && !Array.isArray(value)) {
+    throw new Error(`Cannot apply ${operator} to non-array field '${path}'`);
+  }
+  return value;
+}
+
+function isModifier(argument) {
+  return Boolean(argument) && typeof argument === 'object' && !Array.isArray(argument) && '$each' in argument;
+}
+
+function each(argument, operator) {
+  if (!Array.isArray(argument.$each)) throw new Error(`The argument to $each in ${operator} must be an array`);
+  return argument.$each;
+}
+
+// $push with $each takes $position (an index, counted from the end when
+// negative), then $sort (1, -1, or a sort on subdocument fields) and $slice
+// (keep the first n, or the last n when negative).
+function push(array, argument) {
+  if (!isModifier(argument)) {
+    array.push(cloneDeep(argument));
+    return;
+  }
+  const unknown = Object.keys(argument).find(key => !['$each', '$position', '$sort', '$slice'].includes(key));
+  if (unknown) throw new Error(`Unrecognized clause in $push: ${unknown}`);
+
+  const items = cloneDeep(each(argument, '$push'));
+  const { $position, $sort, $slice } = argument;
+  if ($position === undefined) {
+    array.push(...items);
+  } else {
+    const at = $position < 0 ? Math.max(array.length + $position, 0) : Math.min($position, array.length);
+    array.splice(at, 0, ...items);
+  }
+  if ($sort !== undefined) {
+    if (typeof $sort === 'object') {
+      sortDocuments(array, $sort);
+    } else {
+      array.sort((a, b) => ($sort < 0 ? -1 : 1) * compareValues(a, b));
+    }
+  }
+  if ($slice !== undefined) {
+    const kept = $slice < 0 ? array.slice($slice) : array.slice(0, $slice);
+    array.splice(0, array.length, ...kept);
+  }
+}
+
+// $pull removes the elements matching a condition: operators applied to each
+// element, a query that subdocument elements have to match, or a value.
+function pullMatches(element, condition) {
+  if (isOperatorObject(condition)) return matchQuery({ element }, { element: condition });
+  if (condition instanceof RegExp) return typeof element === 'string' && condition.test(element);
+  if (condition && typeof condition === 'object' && !Array.isArray(condition) &&
+      Object.getPrototypeOf(condition) === Object.prototype) {
+    return Boolean(element) && typeof element === 'object' && !Array.isArray(element) &&
+      matchQuery(element, condition);
+  }
+  return compareValues(element, condition) === 0;
+}
@@ -1,7 +1,116 @@
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import isEqual from 'lodash/isEqual.js';
+import { ObjectId, Decimal128, Long, Binary } from 'bson';
+import { LockTimeoutError } from './errors.js';
 
-export async function readJSON(filePath) {
+const TEMP_MARKER = '.tmp-';
+let tempCounter = 0;
+const queues = new Map();
+const LOCK_DEFAULTS = { wait: true, timeout: 10000, stale: 10000, retryInterval: 20 };
+
+// Stored documents use MongoDB Extended JSON type wrappers ({ $date },
+// { $oid }, { $binary }, { $numberDecimal }, { $numberLong }, ...) for values
+// plain JSON cannot represent, so they read back as the same type. Map has no
+// Extended JSON form and is written as { $map: [[key, value], ...] }.
+function encodeValue(key, value) {
+  const raw = this[key];
+  if (raw instanceof Date) {
+    return isNaN(raw.getTime())
+      ? { $date: { $numberLong: 'NaN' } }
+      : { $date: raw.toISOString() };
+  }
+  if (raw instanceof ObjectId) return { $oid: raw.toHexString() };
+  if (raw instanceof Decimal128) return { $numberDecimal: raw.toString() };
+  if (raw instanceof Long || typeof raw === 'bigint') return { $numberLong: raw.toString() };
+  if (raw instanceof Binary) {
+    return {
+      $binary: {
+        base64: raw.toString('base64'),
+        subType: raw.sub_type.toString(16).padStart(2, '0')
+      }
+    };
+  }
+  if (raw instanceof Uint8Array) {
+    return {
+      $binary: {
+        base64: Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength).toString('base64'),
+        subType: '00'
+      }
+    };
+  }
+  if (raw instanceof Map) return { $map: [...raw.entries()] };
+  if (raw instanceof RegExp) {
+    return { $regularExpression: { pattern: raw.source, options: raw.flags } };
+  }
+  if (typeof raw === 'number' && !Number.isFinite(raw)) return { $numberDouble: String(raw) };
+  return value;
+}
+
+function decodeValue(key, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length !== 1) return value;
+
+  const data = value[keys[0]];
+  switch (keys[0]) {
+    case '$date':
+      if (typeof data === 'string') return new Date(data);
+      if (typeof data === 'bigint') return new Date(Number(data));
+      return new Date(Number(data && data.$numberLong));
+    case '$oid':
+      return ObjectId.isValid(data) ? ObjectId.createFromHexString(data) : value;
+    case '$numberDecimal':
+      return Decimal128.fromString(data);
+    case '$numberLong':
+      return /^-?\d+$/.test(data) ? BigInt(data) : value;
+    case '$numberDouble':
+    case '$numberInt':
+      return Number(data);
+    case '$binary':
+      return data.subType === '00'
+        ? Buffer.from(data.base64, 'base64')
+        : new Binary(Buffer.from(data.base64, 'base64'), parseInt(data.subType, 16));
+    case '$map':
+      return Array.isArray(data) ? new Map(data) : value;
+    case '$regularExpression':
+      return new RegExp(data.pattern, data.options);
+    default:
+      return value;
+  }
+}
+
+// Collections written before the typed encoding kept dates as bare ISO
+// strings; this reads them the way they were read back then.
+function reviveLegacyDates(key, value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+export function stringifyJSON(data, space) {
+  return JSON.stringify(data, encodeValue, space);
+}
+
+export function parseJSON(data, filePath) {
+  try {
+    return JSON.parse(data, decodeValue);
+  } catch (error) {
+    throw new Error(`Corrupt collection file ${filePath}: ${error.message}`);
+  }
+}
+
+export function parseLegacyJSON(data, filePath) {
+  try {
+    return JSON.parse(data, reviveLegacyDates);
+  } catch (error) {
+    throw new Error(`Corrupt collection file ${filePath}: ${error.message}`);
+  }
+}
+
+export async function readJSON(filePath, parse = parseJSON) {
   try {
     const data = await fs.readFile(filePath, 'utf8');
     
@@ -10,12 +119,7 @@ export async function readJSON(filePath) {
       return [];
     }
 
-    return JSON.parse(data, (key, value) => {
-      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
-        return new Date(value);
-      }
-      return value;
-    });
+    return parse(data, filePath);
     
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -31,19 +135,307 @@ export async function readJSON(filePath) {
 }
 
 export async function writeJSON(filePath, data) {
+  return writeFileAtomic(filePath, stringifyJSON(data, 2));
+}
+
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${++tempCounter}`;
   try {
-    const jsonString = JSON.stringify(data, (key, value) => {
-      if (value instanceof Date) {
-        return value.toISOString();
-      }
-      return value;
-    }, 2);
-    await fs.writeFile(filePath, jsonString, 'utf8');
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(data, typeof data === 'string' ? 'utf8' : undefined);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
   } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
     throw new Error(`Failed to write to ${filePath}: ${error.message}`);
   }
 }
 
+// Applies change records ({ op: 'insert' | 'update' | 'replace', doc } or
+// { op: 'delete', _id }) to a document array in place. Changes are keyed by
+// _id, so applying the same record twice leaves the same result.
+export function applyChanges(docs, changes) {
+  const positions = new Map(docs.map((doc, index) => [String(doc._id), index]));
+  let deleted = false;
+
+  for (const change of changes) {
+    const id = String(change.op === 'delete' ? change._id : change.doc._id);
+    const index = positions.get(id);
+
+    if (change.op === 'delete') {
+      if (index !== undefined) {
+        docs[index] = undefined;
+        positions.delete(id);
+        deleted = true;
+      }
+    } else if (index !== undefined) {
+      docs[index] = change.doc;
+    } else {
+      positions.set(id, docs.push(change.doc) - 1);
+    }
+  }
+
+  if (deleted) {
+    const remaining = docs.filter(doc => doc !== undefined);
+    docs.length = 0;
+    remaining.forEach(doc => docs.push(doc));
+  }
+  return docs;
+}
+
+// The part of a change record that storage keeps. Records handed around in
+// memory may also carry the replaced document as `before`.
+export function toChangeRecord(change) {
+  return change.op === 'delete'
+    ? { op: change.op, _id: change._id }
+    : { op: change.op, doc: change.doc };
+}
+
+// Change records turning `before` (a Map of _id to document) into `docs`.
+export function diffDocuments(before, docs) {
+  const changes = [];
+  const seen = new Set();
+
+  for (const doc of docs) {
+    const id = String(doc._id);
+    seen.add(id);
+    if (!before.has(id)) {
+      changes.push({ op: 'insert', doc });
+    } else if (!isEqual(before.get(id), doc)) {
+      changes.push({ op: 'update', doc, before: before.get(id) });
+    }
+  }
+
+  for (const [id, doc] of before) {
+    if (!seen.has(id)) {
+      changes.push({ op: 'delete', _id: doc._id, before: doc });
+    }
+  }
+  return changes;
+}
+
+// Identifies one version of a file. Atomic writes replace the inode, and
+// in-place edits by other tools change the size or mtime.
+export async function fileSignature(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function isTempFile(file) {
+  return file.includes(TEMP_MARKER);
+}
+
+// Whether a temp file was left by a process that no longer exists. Temp files
+// of live processes (this one included) may still be renamed into place.
+export function isAbandonedTempFile(file) {
+  if (!isTempFile(file)) return false;
+  const pid = Number(file.slice(file.lastIndexOf(TEMP_MARKER) + TEMP_MARKER.length).split('-')[0]);
+  return Number.isInteger(pid) && pid !== process.pid && !isProcessAlive(pid);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // ESRCH means there is no such process; EPERM that it belongs to
+    // another user.
+    return error.code !== 'ESRCH';
+  }
+}
+
+function tempTarget(file) {
+  return file.slice(0, file.lastIndexOf(TEMP_MARKER));
+}
+
+// Brings every collection file in dirPath back to a consistent state after a
+// crash: a temp file whose rename never happened replaces a missing or corrupt
+// original, and any other leftover temp file is discarded. Only temp files of
+// crashed processes are touched; those of live ones are writes in progress.
+export async function recoverJSON(dirPath) {
+  const files = await fs.readdir(dirPath);
+  const recovered = [];
+
+  for (const file of files.filter(isAbandonedTempFile)) {
+    const tempPath = path.join(dirPath, file);
+    const targetPath = path.join(dirPath, tempTarget(file));
+
+    if (!(await isReadableJSON(targetPath)) && (await isReadableJSON(tempPath))) {
+      await fs.rename(tempPath, targetPath);
+      recovered.push(path.basename(targetPath));
+    } else {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  for (const file of await fs.readdir(dirPath)) {
+    if (!file.endsWith('.json')) continue;
+    const filePath = path.join(dirPath, file);
+    const data = await fs.readFile(filePath, 'utf8');
+    if (data.trim()) {
+      parseJSON(data, filePath);
+    }
+  }
+
+  return recovered;
+}
+
+async function isReadableJSON(filePath) {
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    if (!data.trim()) return false;
+    JSON.parse(data);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Runs fn after every task previously queued under the same key has settled.
+// Keys are shared process-wide, so every Model and Connection that resolves to
+// the same collection file is linearized through a single queue.
+export function runExclusive(key, fn) {
+  const previous = queues.get(key) || Promise.resolve();
+  const result = previous.then(() => fn());
+  const tail = result.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return result;
+}
+
+// Advisory cross-process lock on filePath, held through a `<file>.lock` file
+// created with O_EXCL. A lock whose owner process is gone, or which is older
+// than `stale` ms, is considered abandoned and broken. The owner touches the
+// lock every `stale / 2` ms, so a long hold does not look abandoned.
+export async function acquireLock(filePath, options = {}) {
+  const { wait, timeout, stale, retryInterval } = { ...LOCK_DEFAULTS, ...options };
+  const lockPath = `${filePath}.lock`;
+  const owner = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    acquiredAt: new Date().toISOString()
+  });
+  const started = Date.now();
+
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, owner, { flag: 'wx' });
+      const refresh = Number.isFinite(stale) ? setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {});
+      }, stale / 2) : null;
+      if (refresh) refresh.unref();
+      return () => {
+        clearInterval(refresh);
+        return releaseLock(lockPath, owner);
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const staleOwner = await staleLockOwner(lockPath, stale);
+    if (staleOwner !== null) {
+      await breakLock(lockPath, staleOwner, stale);
+      continue;
+    }
+
+    if (!wait) {
+      throw new LockTimeoutError(lockPath, 0);
+    }
+    if (Date.now() - started >= timeout) {
+      throw new LockTimeoutError(lockPath, timeout);
+    }
+    await new Promise(resolve => setTimeout(resolve, retryInterval));
+  }
+}
+
+export async function withFileLock(filePath, options, fn) {
+  const release = await acquireLock(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+async function releaseLock(lockPath, owner) {
+  try {
+    if (await fs.readFile(lockPath, 'utf8') === owner) {
+      await fs.rm(lockPath, { force: true });
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// The contents of the lock file when the lock is abandoned, or null.
+async function staleLockOwner(lockPath, stale) {
+  let data;
+  let stats;
+  try {
+    [data, stats] = await Promise.all([
+      fs.readFile(lockPath, 'utf8'),
+      fs.stat(lockPath)
+    ]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  if (Date.now() - stats.mtimeMs > stale) return data;
+
+  let owner;
+  try {
+    owner = JSON.parse(data);
+  } catch (error) {
+    // The owner may still be writing the lock file; only its age can tell.
+    return null;
+  }
+  if (owner.hostname !== os.hostname()) return null;
+  return isProcessAlive(owner.pid) ? null : data;
+}
+
+// Removes an abandoned lock. Waiters that found it take turns through a
+// `<lock>.break` file created with O_EXCL, and the one holding it removes the
+// lock only if it still has the abandoned owner, not one that took the lock
+// since. The lock file itself is never moved, so no other process can find
+// it missing while it is held. A break file older than `stale` ms was left
+// by a waiter that died while breaking, and is removed.
+async function breakLock(lockPath, staleOwner, stale) {
+  const breakPath = `${lockPath}.break`;
+  try {
+    await fs.writeFile(breakPath, String(process.pid), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    const stats = await fs.stat(breakPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > stale) await fs.rm(breakPath, { force: true });
+    return;
+  }
+  try {
+    const owner = await fs.readFile(lockPath, 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    if (owner === staleOwner) await fs.rm(lockPath, { force: true });
+  } finally {
+    await fs.rm(breakPath, { force: true });
+  }
+}
+
 export function validateType(value, type) {
   if (value === undefined || value === null) return false;
   if (type === String) return typeof value === 'string';
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { localgoose } from '../src/index.js';
+
+const accountSchema = new localgoose.Schema({ name: String, credits: Number });
+const transferSchema = new localgoose.Schema({ from: String, to: String, amount: Number });
+
+async function withAccounts(fn) {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-session-'));
+  const db = await localgoose.connect(dbPath);
+  try {
+    const Account = db.model('Account', accountSchema);
+    const Transfer = db.model('Transfer', transferSchema);
+    await Account.create([{ name: 'alice', credits: 100 }, { name: 'bob', credits: 0 }]);
+    await fn({ db, dbPath, Account, Transfer });
+  } finally {
+    await db.close();
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+}
+
+async function credits(Account) {
+  const accounts = await Account.find().sort({ name: 1 });
+  return accounts.map(account => account.credits);
+}
+
+test('a committed transaction writes every collection it touched', async () => {
+  await withAccounts(async ({ db, dbPath, Account, Transfer }) => {
+    const session = await db.startSession();
+    session.startTransaction();
+    await Account.updateOne({ name: 'alice' }, { $inc: { credits: -10 } }, { session });
+    await Account.updateOne({ name: 'bob' }, { $inc: { credits: 10 } }, { session });
+    await Transfer.create([{ from: 'alice', to: 'bob', amount: 10 }], { session });
+
+    // Only the session sees its writes until they are committed.
+    const seen = await Account.find().sort({ name: 1 }).session(session);
+    assert.deepEqual(seen.map(account => account.credits), [90, 10]);
+    assert.deepEqual(await credits(Account), [100, 0]);
+    assert.equal(await Transfer.countDocuments(), 0);
+
+    await session.commitTransaction();
+    await session.endSession();
+    assert.deepEqual(await credits(Account), [90, 10]);
+    assert.equal(await Transfer.countDocuments(), 1);
+
+    await db.flush();
+    const stored = JSON.parse(await fs.readFile(path.join(dbPath, 'Account.json'), 'utf8'));
+    assert.deepEqual(stored.map(account => account.credits).sort((a, b) => a - b), [10, 90]);
+  });
+});
+
+test('an aborted transaction discards its writes', async () => {
+  await withAccounts(async ({ db, Account, Transfer }) => {
+    await assert.rejects(db.transaction(async session => {
+      await Account.updateOne({ name: 'alice' }, { $inc: { credits: -10 } }, { session });
+      await Transfer.create([{ from: 'alice', to: 'bob', amount: 10 }], { session });
+      throw new Error('insufficient funds');
+    }), /insufficient funds/);
+
+    const session = await db.startSession();
+    session.startTransaction();
+    await Account.deleteMany({}, { session });
+    await session.abortTransaction();
+    await session.endSession();
+
+    assert.deepEqual(await credits(Account), [100, 0]);
+    assert.equal(await Transfer.countDocuments(), 0);
+  });
+});
+
+test('a transaction that hits a write conflict is retried', async () => {
+  await withAccounts(async ({ db, Account }) => {
+    let attempts = 0;
+    await db.transaction(async session => {
+      attempts++;
+      const alice = await Account.findOne({ name: 'alice' }, null, { session });
+      if (attempts === 1) {
+        // Someone else changes the document after the transaction read it.
+        await Account.updateOne({ name: 'alice' }, { $inc: { credits: 5 } });
+      }
+      await Account.updateOne({ name: 'alice' }, { credits: alice.credits - 10 }, { session });
+    });
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(await credits(Account), [95, 0]);
+  });
+});
+
+test('a write conflict fails a manual commit with WriteConflictError', async () => {
+  await withAccounts(async ({ db, Account }) => {
+    const session = await db.startSession();
+    session.startTransaction();
+    await Account.updateOne({ name: 'alice' }, { $inc: { credits: -10 } }, { session });
+    await Account.updateOne({ name: 'alice' }, { $inc: { credits: 5 } });
+
+    await assert.rejects(session.commitTransaction(), error =>
+      error instanceof localgoose.WriteConflictError && error.hasErrorLabel('TransientTransactionError'));
+    await session.endSession();
+    assert.deepEqual(await credits(Account), [105, 0]);
+  });
+});
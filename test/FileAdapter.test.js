@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { localgoose } from '../src/index.js';
+
+const schema = new localgoose.Schema({ name: String });
+
+async function withDirectory(fn) {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-file-'));
+  try {
+    await fn(dbPath);
+  } finally {
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+}
+
+// The pid of a process that has exited, as a crashed writer's would be.
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('writes leave no temp files behind', async () => {
+  await withDirectory(async dbPath => {
+    const db = await localgoose.connect(dbPath);
+    const User = db.model('User', schema);
+    await User.create([{ name: 'ann' }, { name: 'bob' }]);
+    await db.close();
+
+    const files = await fs.readdir(dbPath);
+    assert.deepEqual(files.filter(file => file.includes('.tmp-')), []);
+    assert.equal(JSON.parse(await fs.readFile(path.join(dbPath, 'User.json'), 'utf8')).length, 2);
+  });
+});
+
+test('a temp file of an interrupted write replaces a corrupt collection on connect', async () => {
+  await withDirectory(async dbPath => {
+    await fs.writeFile(path.join(dbPath, 'User.json'), '[{"_id": "a", "na');
+    await fs.writeFile(path.join(dbPath, `User.json.tmp-${deadPid()}-1`), '[{"_id": "a", "name": "ann"}]');
+
+    const db = await localgoose.connect(dbPath);
+    const User = db.model('User', schema);
+    assert.deepEqual((await User.find()).map(user => user.name), ['ann']);
+    await db.close();
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => file.includes('.tmp-')), []);
+  });
+});
+
+test('a leftover temp file next to an intact collection is discarded', async () => {
+  await withDirectory(async dbPath => {
+    await fs.writeFile(path.join(dbPath, 'User.json'), '[{"_id": "a", "name": "ann"}]');
+    await fs.writeFile(path.join(dbPath, `User.json.tmp-${deadPid()}-1`), '[]');
+
+    const db = await localgoose.connect(dbPath);
+    const User = db.model('User', schema);
+    assert.deepEqual((await User.find()).map(user => user.name), ['ann']);
+    await db.close();
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => file.includes('.tmp-')), []);
+  });
+});
+
+test('connect fails on a corrupt collection that cannot be recovered', async () => {
+  await withDirectory(async dbPath => {
+    await fs.writeFile(path.join(dbPath, 'User.json'), '[{"_id": "a", "na');
+    await assert.rejects(localgoose.connect(dbPath), /User\.json/);
+  });
+});
+
+test('the cache is reloaded when the collection is rewritten behind its back', async () => {
+  await withDirectory(async dbPath => {
+    const db = await localgoose.connect(dbPath);
+    const User = db.model('User', schema);
+    await User.create({ name: 'ann' });
+    assert.deepEqual((await User.find()).map(user => user.name), ['ann']);
+
+    await fs.writeFile(path.join(dbPath, 'User.json'), '[{"_id": "a", "name": "bob"}, {"_id": "b", "name": "cy"}]');
+    assert.deepEqual((await User.find().sort({ name: 1 })).map(user => user.name), ['bob', 'cy']);
+    await User.create({ name: 'dee' });
+    await db.close();
+    assert.equal(JSON.parse(await fs.readFile(path.join(dbPath, 'User.json'), 'utf8')).length, 3);
+  });
+});
+
+test('constant writes are flushed within maxFlushDelay', async () => {
+  await withDirectory(async dbPath => {
+    const db = await localgoose.connect(dbPath, { flushDelay: 50, maxFlushDelay: 150 });
+    const User = db.model('User', schema);
+    await User.create({ name: 'ann' });
+    await db.flush();
+
+    // Writes every 10ms keep postponing the debounced flush.
+    const stored = () => fs.readFile(path.join(dbPath, 'User.json'), 'utf8').then(JSON.parse);
+    for (let i = 0; i < 40; i++) {
+      await User.create({ name: `user${i}` });
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok((await stored()).length > 1);
+    await db.close();
+    assert.equal((await stored()).length, 41);
+  });
+});
+
+test('a failed delayed flush without error listeners rejects the next flush', async () => {
+  await withDirectory(async dbPath => {
+    const db = await localgoose.connect(dbPath, { flushDelay: 20 });
+    const User = db.model('User', schema);
+    await User.create({ name: 'ann' });
+    await db.flush();
+
+    await User.create({ name: 'bob' });
+    // The database directory turns into a file, so the flush cannot write.
+    await fs.rm(dbPath, { recursive: true });
+    await fs.writeFile(dbPath, '');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    await assert.rejects(db.flush(), /ENOTDIR/);
+    await assert.rejects(db.close(), /ENOTDIR/);
+    await fs.rm(dbPath);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { localgoose } from '../src/index.js';
+
+test('a record torn by a crash does not corrupt the next append', async () => {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-journal-'));
+  const schema = new localgoose.Schema({ name: String });
+  try {
+    let db = await localgoose.connect(dbPath, { storage: 'journal' });
+    let User = db.model('User', schema);
+    await User.create({ name: 'ann' });
+    await db.close();
+
+    // An append interrupted halfway through its line
+    await fs.appendFile(path.join(dbPath, 'User.journal'), '{"op":"insert","doc":{"_id":"x","na');
+
+    db = await localgoose.connect(dbPath, { storage: 'journal' });
+    User = db.model('User', schema);
+    await User.create({ name: 'bob' });
+    await db.close();
+
+    db = await localgoose.connect(dbPath, { storage: 'journal' });
+    User = db.model('User', schema);
+    assert.deepEqual((await User.find().sort({ name: 1 })).map(user => user.name), ['ann', 'bob']);
+    await db.close();
+  } finally {
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+});
+
+test('a failed append leaves the collection as stored', async () => {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-journal-'));
+  const schema = new localgoose.Schema({ name: String });
+  try {
+    const db = await localgoose.connect(dbPath, { storage: 'journal' });
+    const User = db.model('User', schema);
+    await User.create({ name: 'ann' });
+
+    const open = mock.method(fs, 'open', async () => {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+    });
+    try {
+      await assert.rejects(User.create({ name: 'bob' }), /ENOSPC/);
+    } finally {
+      open.mock.restore();
+    }
+
+    assert.deepEqual((await User.find()).map(user => user.name), ['ann']);
+    await db.close();
+  } finally {
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+});
@@ -0,0 +1,33 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { localgoose } from '../src/index.js';
+
+const FS_METHODS = [
+  'access', 'appendFile', 'link', 'mkdir', 'open', 'readFile', 'readdir', 'rename', 'rm', 'stat',
+  'truncate', 'unlink', 'utimes', 'writeFile'
+];
+
+test(`':memory:' connections never touch the disk`, async () => {
+  const spies = FS_METHODS.map(name => mock.method(fs, name));
+  try {
+    const db = await localgoose.connect(':memory:');
+    const schema = new localgoose.Schema({ name: String, age: { type: Number, index: true } });
+    const User = db.model('User', schema);
+    await new Promise(resolve => User.events.once('index', resolve));
+
+    await User.create([{ name: 'ann', age: 30 }, { name: 'bob', age: 20 }]);
+    await User.updateOne({ name: 'bob' }, { $inc: { age: 1 } });
+    await User.deleteMany({ age: { $gt: 25 } });
+    await db.transaction(session => User.create([{ name: 'cy', age: 40 }], { session }));
+    assert.deepEqual((await User.find().sort({ age: 1 })).map(user => [user.name, user.age]), [['bob', 21], ['cy', 40]]);
+    await db.flush();
+    await db.close();
+
+    const calls = FS_METHODS.filter((name, i) => spies[i].mock.callCount() > 0);
+    assert.deepEqual(calls, []);
+  } finally {
+    spies.forEach(spy => spy.mock.restore());
+  }
+  await assert.rejects(fs.access(':memory:'), { code: 'ENOENT' });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { localgoose } from '../src/index.js';
+
+const schema = new localgoose.Schema({ name: String, n: Number });
+
+async function withDirectory(fn) {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-model-'));
+  try {
+    await fn(dbPath);
+  } finally {
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+}
+
+test('parallel creates through connections sharing a directory lose nothing', async () => {
+  await withDirectory(async dbPath => {
+    const first = await localgoose.connect(dbPath);
+    const second = await localgoose.connect(dbPath);
+    const users = [first.model('User', schema), second.model('User', schema)];
+
+    const batch = (prefix, count) => Array.from({ length: count }, (_, i) => ({ name: `${prefix}${i}`, n: i }));
+    await Promise.all([
+      users[0].create(batch('a', 50)),
+      users[1].create(batch('b', 50)),
+      ...batch('c', 20).map((doc, i) => users[i % 2].create(doc))
+    ]);
+    await Promise.all([
+      users[0].updateMany({ n: { $lt: 10 } }, { $inc: { n: 100 } }),
+      users[1].deleteMany({ name: /^c/ })
+    ]);
+    await Promise.all([first.close(), second.close()]);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dbPath, 'User.json'), 'utf8'));
+    assert.equal(stored.length, 100);
+    assert.equal(new Set(stored.map(user => user.name)).size, 100);
+    assert.equal(stored.filter(user => user.n >= 100).length, 20);
+  });
+});
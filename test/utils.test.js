@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { localgoose } from '../src/index.js';
+import { acquireLock } from '../src/utils.js';
+
+const schema = new localgoose.Schema({ name: String });
+
+async function withDirectory(fn) {
+  const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'localgoose-lock-'));
+  try {
+    await fn(dbPath);
+  } finally {
+    await fs.rm(dbPath, { recursive: true, force: true, maxRetries: 5 });
+  }
+}
+
+async function connectModel(dbPath, options) {
+  const db = await localgoose.connect(dbPath, options);
+  const User = db.model('User', schema);
+  await new Promise(resolve => User.events.once('index', resolve));
+  return { db, User };
+}
+
+test('a held lock makes writes fail fast with lock: { wait: false }', async () => {
+  await withDirectory(async dbPath => {
+    const { db, User } = await connectModel(dbPath, { lock: { wait: false } });
+    const release = await acquireLock(path.join(dbPath, 'User.json'));
+    try {
+      await assert.rejects(User.create({ name: 'ann' }), localgoose.LockTimeoutError);
+    } finally {
+      await release();
+    }
+    await User.create({ name: 'ann' });
+    assert.equal(await User.countDocuments(), 1);
+    await db.close();
+  });
+});
+
+test('waiting for a held lock gives up after its timeout', async () => {
+  await withDirectory(async dbPath => {
+    const { db, User } = await connectModel(dbPath, { lock: { timeout: 100 } });
+    const release = await acquireLock(path.join(dbPath, 'User.json'));
+    try {
+      await assert.rejects(User.create({ name: 'ann' }), error =>
+        error instanceof localgoose.LockTimeoutError && error.timeout === 100);
+    } finally {
+      await release();
+    }
+    await db.close();
+  });
+});
+
+test('a lock left by a process that no longer exists is broken', async () => {
+  await withDirectory(async dbPath => {
+    const { db, User } = await connectModel(dbPath, { lock: { wait: false } });
+    const owner = { pid: spawnSync(process.execPath, ['-e', '']).pid, hostname: os.hostname() };
+    await fs.writeFile(path.join(dbPath, 'User.json.lock'), JSON.stringify(owner));
+
+    await User.create({ name: 'ann' });
+    assert.equal(await User.countDocuments(), 1);
+    await db.close();
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => /\.lock|\.break/.test(file)), []);
+  });
+});